@@ -0,0 +1,75 @@
+'use strict';
+
+var SourceCollection = require('mongodb').Collection;
+var utils = require('../utils');
+var driver = require('../driver').driver;
+var hookCursor = require('./hookCursor');
+
+module.exports = function(Collection) {
+	Collection.prototype.aggregate = function(pipeline, options, callback) {
+		if (typeof options === 'function') {
+			callback = options;
+			options = {};
+		}
+		options = options || {};
+
+		if (!Array.isArray(pipeline)) {
+			var err = driver.createError({
+				message: 'pipeline parameter must be an array of stages',
+				driver: true
+			});
+
+			if (callback) {
+				return callback(err);
+			} else {
+				throw err;
+			}
+		}
+
+		pipeline = utils.deepClone(pipeline);
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var triggerErrorHook = this._getTriggerErrorHook({
+			pipeline: pipeline,
+			options: options,
+			context: context,
+			method: 'aggregate'
+		}, trigger);
+
+		var beforeHookParams = {
+			pipeline: pipeline,
+			options: options,
+			context: context,
+			meta: {}
+		};
+
+		// driver reads pipeline stages only when the query is sent, so changes
+		// made by hooks are applied to the same array
+		var cursor = hookCursor({
+			cursor: SourceCollection.prototype.aggregate.call(
+				this, pipeline, options
+			),
+			params: beforeHookParams,
+			beforeHookName: 'beforeAggregate',
+			afterHookName: 'afterAggregate',
+			applyParams: function(params) {
+				if (params.pipeline !== pipeline) {
+					Array.prototype.splice.apply(
+						pipeline, [0, pipeline.length].concat(params.pipeline)
+					);
+					params.pipeline = pipeline;
+				}
+			},
+			trigger: trigger,
+			triggerErrorHook: triggerErrorHook
+		});
+
+		if (callback) {
+			cursor.toArray(callback);
+		} else {
+			return cursor;
+		}
+	};
+};
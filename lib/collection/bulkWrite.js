@@ -0,0 +1,284 @@
+'use strict';
+
+var SourceCollection = require('mongodb').Collection;
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+// map of bulk operation fields to hook params fields for every supported
+// operation type, fields from `cloneFields` are cloned before hooks call.
+// Operations with `upsert` flag trigger hooks of `findOneAndUpsert` with
+// `upsertFields` map (replacement is passed as modifier).
+var operationTypes = {
+	insertOne: {
+		fields: {document: 'obj'},
+		cloneFields: ['document']
+	},
+	updateOne: {
+		fields: {filter: 'condition', update: 'modifier'},
+		upsertFields: {filter: 'condition', update: 'modifier'},
+		cloneFields: ['filter', 'update']
+	},
+	updateMany: {
+		fields: {filter: 'condition', update: 'modifier'},
+		upsertFields: {filter: 'condition', update: 'modifier'},
+		cloneFields: ['filter', 'update']
+	},
+	replaceOne: {
+		fields: {filter: 'condition', replacement: 'replacement'},
+		upsertFields: {filter: 'condition', replacement: 'modifier'},
+		cloneFields: ['filter', 'replacement']
+	},
+	deleteOne: {
+		fields: {filter: 'condition'},
+		cloneFields: ['filter']
+	},
+	deleteMany: {
+		fields: {filter: 'condition'},
+		cloneFields: ['filter']
+	}
+};
+
+var getOperationType = function(operation) {
+	return operation && typeof operation === 'object' ?
+		Object.keys(operation)[0] : null;
+};
+
+var isUpsertOperation = function(operation) {
+	var type = getOperationType(operation);
+	return Boolean(operationTypes[type].upsertFields && operation[type].upsert);
+};
+
+var getOperationFields = function(operation) {
+	var operationType = operationTypes[getOperationType(operation)];
+	return isUpsertOperation(operation) ?
+		operationType.upsertFields : operationType.fields;
+};
+
+// name of hooks action without `before` or `after` prefix
+var getOperationAction = function(operation) {
+	return isUpsertOperation(operation) ?
+		'UpsertOne' : utils.capitalize(getOperationType(operation));
+};
+
+module.exports = function(Collection) {
+	Collection.prototype.bulkWrite = utils.withPromise(function(
+		operations, options, callback
+	) {
+		var self = this;
+
+		if (typeof options === 'function') {
+			callback = options;
+			options = {};
+		}
+		options = options || {ordered: true};
+
+		if (!Array.isArray(operations)) {
+			return callback(driver.createError({
+				message: 'operations parameter must be an array of operations',
+				driver: true
+			}));
+		}
+
+		var operationsError;
+		operations.some(function(operation) {
+			var type = getOperationType(operation);
+
+			if (!operationTypes.hasOwnProperty(type)) {
+				operationsError = 'Unknown bulkWrite operation "' + type + '"';
+			} else if (!self._checkMethodSupport(type)) {
+				operationsError = self._getUnsupportedErrorMessage(type);
+			}
+
+			return Boolean(operationsError);
+		});
+
+		if (operationsError) {
+			return callback(driver.createError({
+				message: operationsError,
+				driver: true
+			}));
+		}
+
+		operations = operations.map(function(operation) {
+			var type = getOperationType(operation),
+				cloneFields = operationTypes[type].cloneFields,
+				clonedOperation = {};
+
+			clonedOperation[type] = {};
+			for (var key in operation[type]) {
+				clonedOperation[type][key] = (
+					cloneFields.indexOf(key) !== -1 ?
+						utils.deepClone(operation[type][key]) :
+						operation[type][key]
+				);
+			}
+
+			return clonedOperation;
+		});
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
+		var triggerErrorHook = this._getTriggerErrorHook({
+			operations: operations,
+			options: options,
+			context: context,
+			meta: meta,
+			method: 'bulkWrite'
+		}, trigger);
+
+		var isReturnResultOnly = this._getExtendOption(options, 'returnResultOnly');
+
+		var beforeHookParams = {
+			operations: operations,
+			options: options,
+			context: context,
+			meta: meta
+		};
+
+		// params of each operation hooks, before and after hooks of the same
+		// operation share one `meta` object
+		var operationsHookParams;
+
+		// operations without params returned by `getParams` are skipped
+		var triggerOperationsHooks = function(hookType, getParams, callback) {
+			utils.eachSeries(operations, function(operation, index, callback) {
+				var hookName = hookType + getOperationAction(operation),
+					hookParams = getParams(operation, index);
+
+				if (!hookParams) return callback();
+
+				trigger(hookName, [hookParams], callback);
+			}, callback);
+		};
+
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeBulkWrite', [beforeHookParams], function(err) {
+			if (err) {
+				return triggerErrorHook(err, callback);
+			}
+
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
+			operationsHookParams = operations.map(function(operation) {
+				var type = getOperationType(operation),
+					fields = getOperationFields(operation),
+					hookParams = {};
+
+				for (var key in fields) {
+					hookParams[fields[key]] = operation[type][key];
+				}
+				hookParams.options = options;
+				hookParams.context = context;
+				hookParams.meta = {};
+
+				return hookParams;
+			});
+
+			triggerOperationsHooks('before', function(operation, index) {
+				return operationsHookParams[index];
+			}, function(err) {
+				if (err) {
+					return triggerErrorHook(err, callback);
+				}
+
+				// hooks could change params, so build operations for driver
+				// from them
+				var sourceOperations = operations.map(function(operation, index) {
+					var type = getOperationType(operation),
+						fields = getOperationFields(operation),
+						hookParams = operationsHookParams[index],
+						sourceOperation = {};
+
+					sourceOperation[type] = {};
+					for (var key in operation[type]) {
+						sourceOperation[type][key] = operation[type][key];
+					}
+					for (key in fields) {
+						sourceOperation[type][key] = hookParams[fields[key]];
+					}
+
+					return sourceOperation;
+				});
+
+				var sourceBulkWriteCallback = function(err, bulkWriteResult) {
+					if (err) {
+						return triggerErrorHook(err, callback);
+					}
+
+					var nativeResult = {
+						insertedCount: bulkWriteResult.insertedCount,
+						matchedCount: bulkWriteResult.matchedCount,
+						modifiedCount: bulkWriteResult.modifiedCount,
+						deletedCount: bulkWriteResult.deletedCount,
+						upsertedCount: bulkWriteResult.upsertedCount,
+						insertedIds: bulkWriteResult.insertedIds,
+						upsertedIds: bulkWriteResult.upsertedIds
+					};
+
+					// server doesn't report results of update, replace and
+					// delete operations separately, so only `afterBulkWrite`
+					// hooks are triggered for them, upserted ids are reported
+					// per operation
+					var upsertedIds = bulkWriteResult.upsertedIds || {};
+
+					triggerOperationsHooks('after', function(operation, index) {
+						var type = getOperationType(operation),
+							isUpsert = isUpsertOperation(operation);
+
+						if (type !== 'insertOne' && !isUpsert) return null;
+
+						var hookParams = {};
+						for (var key in operationsHookParams[index]) {
+							hookParams[key] = operationsHookParams[index][key];
+						}
+
+						if (isUpsert) {
+							hookParams.index = index;
+							hookParams.obj = null;
+							hookParams.isUpdated = !(String(index) in upsertedIds);
+						} else {
+							hookParams.obj = sourceOperations[index].insertOne.document;
+						}
+
+						return hookParams;
+					}, function(err) {
+						if (err) {
+							return triggerErrorHook(err, callback);
+						}
+
+						var afterHookParams = {
+							operations: sourceOperations,
+							options: options,
+							context: context,
+							meta: meta,
+							result: nativeResult
+						};
+
+						trigger('afterBulkWrite', [afterHookParams], function(err) {
+							if (err) {
+								return triggerErrorHook(err, callback);
+							}
+
+							callback(
+								null, isReturnResultOnly ? nativeResult : bulkWriteResult
+							);
+						});
+					});
+				};
+
+				driver.call(
+					self,
+					SourceCollection.prototype.bulkWrite,
+					[sourceOperations, options],
+					sourceBulkWriteCallback
+				);
+			});
+		});
+	});
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+var SourceCollection = require('mongodb').Collection;
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+// `argNames` are names of method arguments before options, they are passed
+// to hooks params, after hook is triggered only when `hasAfterHook` is set
+var getDdlWithHooks = function(methodName, argNames, hasAfterHook) {
+	var beforeHookName = 'before' + utils.capitalize(methodName),
+		afterHookName = 'after' + utils.capitalize(methodName);
+
+	return utils.withPromise(function() {
+		var self = this,
+			args = Array.prototype.slice.call(arguments, 0),
+			callback = args.pop(),
+			options = args[argNames.length] || {};
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var getHookParams = function(params) {
+			argNames.forEach(function(argName, index) {
+				params[argName] = args[index];
+			});
+			params.options = options;
+			params.context = context;
+			return params;
+		};
+
+		var meta = {};
+
+		var triggerErrorHook = this._getTriggerErrorHook(
+			getHookParams({meta: meta, method: methodName}), trigger
+		);
+
+		var beforeHookParams = getHookParams({meta: meta});
+
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger(beforeHookName, [beforeHookParams], function(err) {
+			if (err) {
+				return triggerErrorHook(err, callback);
+			}
+
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
+			// arguments could be changed by before hooks
+			var sourceArgs = argNames.map(function(argName) {
+				return beforeHookParams[argName];
+			});
+
+			var sourceCallback = function(err, result) {
+				if (err) {
+					return triggerErrorHook(err, callback);
+				}
+
+				if (!hasAfterHook) {
+					return callback(null, result);
+				}
+
+				var afterHookParams = getHookParams({meta: meta, result: result});
+				sourceArgs.forEach(function(arg, index) {
+					afterHookParams[argNames[index]] = arg;
+				});
+
+				trigger(afterHookName, [afterHookParams], function(err) {
+					if (err) {
+						return triggerErrorHook(err, callback);
+					}
+
+					callback(null, result);
+				});
+			};
+
+			driver.call(
+				self,
+				SourceCollection.prototype[methodName],
+				sourceArgs.concat(options),
+				sourceCallback
+			);
+		});
+	});
+};
+
+module.exports = function(Collection) {
+	Collection.prototype.drop = getDdlWithHooks('drop', [], true);
+	Collection.prototype.rename = getDdlWithHooks('rename', ['newName'], true);
+	Collection.prototype.createIndex = getDdlWithHooks(
+		'createIndex', ['fieldOrSpec'], true
+	);
+	Collection.prototype.dropIndex = getDdlWithHooks(
+		'dropIndex', ['indexName'], false
+	);
+};
@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 var getDeleteWithHooks = function(updateType) {
 	var methodName = 'delete' + utils.capitalize(updateType),
@@ -18,33 +18,70 @@ var getDeleteWithHooks = function(updateType) {
 		}
 
 		if (!this._checkMethodSupport(methodName)) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage(methodName),
 				driver: true
 			}));
 		}
 
+		// hooks could extend condition, so caller's filter is not changed
+		filter = utils.deepClone(filter || {});
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
 		var triggerErrorHook = this._getTriggerErrorHook({
 			condition: filter,
 			options: options,
+			context: context,
+			meta: meta,
 			method: methodName
-		});
+		}, trigger);
 
 		var isReturnResultOnly = this._getExtendOption(options, 'returnResultOnly');
 
-		var meta = {};
+		// documents are captured only for multi document deletes, deleted
+		// documents could be captured only before delete with any mode
+		var captureDocs = this._getExtendOption(options, 'captureDocs');
+		if (updateType !== 'many') {
+			captureDocs = null;
+		}
 
+		if (!this._checkCaptureDocsOption(captureDocs)) {
+			return callback(driver.createError({
+				message: this._getCaptureDocsErrorMessage(),
+				driver: true
+			}));
+		}
+
+		// documents are captured within transaction of the operation
+		var captureDocsOptions = {session: options.session};
+
+		// delete hooks are shared with `findOneAndDelete`, so hooks get name of
+		// called method
 		var beforeHookParams = {
 			condition: filter,
 			options: options,
-			meta: meta
+			context: context,
+			meta: meta,
+			method: methodName
 		};
 
-		this.trigger(beforeHookName, [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger(beforeHookName, [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
+			var originalObjs;
+
 			var sourceDeleteCallback = function(err, deleteResult) {
 				if (err) {
 					return triggerErrorHook(err, callback);
@@ -57,11 +94,16 @@ var getDeleteWithHooks = function(updateType) {
 				var afterHookParams = {
 					condition: filter,
 					options: options,
+					context: context,
 					meta: meta,
 					result: nativeResult
 				};
 
-				self.trigger(afterHookName, [afterHookParams], function(err) {
+				if (captureDocs) {
+					afterHookParams.originalObjs = originalObjs;
+				}
+
+				trigger(afterHookName, [afterHookParams], function(err) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
@@ -70,9 +112,27 @@ var getDeleteWithHooks = function(updateType) {
 				});
 			};
 
-			SourceCollection.prototype[methodName].call(
-				self, filter, options, sourceDeleteCallback
-			);
+			var sourceDelete = function() {
+				driver.call(
+					self,
+					SourceCollection.prototype[methodName],
+					[filter, options],
+					sourceDeleteCallback
+				);
+			};
+
+			if (captureDocs) {
+				self._captureDocs(filter, captureDocsOptions, function(err, objs) {
+					if (err) {
+						return triggerErrorHook(err, callback);
+					}
+
+					originalObjs = objs;
+					sourceDelete();
+				});
+			} else {
+				sourceDelete();
+			}
 		});
 	});
 };
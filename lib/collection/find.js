@@ -2,24 +2,235 @@
 
 var SourceCollection = require('mongodb').Collection;
 var utils = require('../utils');
+var driver = require('../driver').driver;
+var hookCursor = require('./hookCursor');
 
 module.exports = function(Collection) {
-	Collection.prototype.find = function(query, projection) {
-		var cursor = SourceCollection.prototype.find.call(this, query);
+	Collection.prototype.find = function(query, projection, options) {
+		options = options || {};
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var triggerErrorHook = this._getTriggerErrorHook({
+			condition: query,
+			projection: projection,
+			options: options,
+			context: context,
+			method: 'find'
+		}, trigger);
+
+		var cursor = SourceCollection.prototype.find.call(
+			this, query || {}, options
+		);
 		if (projection) {
 			cursor.project(projection);
 		}
-		return cursor;
+
+		var beforeHookParams = {
+			condition: query || {},
+			projection: projection,
+			options: options,
+			context: context,
+			meta: {}
+		};
+
+		return hookCursor({
+			cursor: cursor,
+			params: beforeHookParams,
+			beforeHookName: 'beforeFind',
+			afterHookName: 'afterFind',
+			// hooks could change condition and projection
+			applyParams: function(params) {
+				cursor.filter(params.condition);
+				if (params.projection) {
+					cursor.project(params.projection);
+				}
+			},
+			trigger: trigger,
+			triggerErrorHook: triggerErrorHook
+		});
 	};
 
 	Collection.prototype.findOne = utils.withPromise(function() {
+		var self = this;
+
 		// detect options first of all
 		var args = Array.prototype.slice.call(arguments, 0),
 			callback = args.pop(),
 			len = args.length,
 			selector = len >= 1 ? args.shift() : {},
-			fields = len >= 2 ? args.shift() : null;
+			fields = len >= 2 ? args.shift() : null,
+			options = len >= 3 ? args.shift() : {};
+
+		selector = selector || {};
+		options = options || {};
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var triggerErrorHook = this._getTriggerErrorHook({
+			condition: selector,
+			projection: fields,
+			options: options,
+			context: context,
+			method: 'findOne'
+		}, trigger);
+
+		var meta = {};
+
+		var beforeHookParams = {
+			condition: selector,
+			projection: fields,
+			options: options,
+			context: context,
+			meta: meta
+		};
+
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeFindOne', [beforeHookParams], function(err) {
+			if (err) {
+				return triggerErrorHook(err, callback);
+			}
+
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
+			var cursor = SourceCollection.prototype.find.call(
+				self, beforeHookParams.condition, options
+			);
+			if (beforeHookParams.projection) {
+				cursor.project(beforeHookParams.projection);
+			}
+
+			driver.call(cursor.limit(1), 'next', [], function(err, doc) {
+				if (err) {
+					return triggerErrorHook(err, callback);
+				}
+
+				var afterHookParams = {
+					condition: beforeHookParams.condition,
+					projection: beforeHookParams.projection,
+					options: options,
+					context: context,
+					meta: meta,
+					obj: doc
+				};
+
+				trigger('afterFindOne', [afterHookParams], function(err) {
+					if (err) {
+						return triggerErrorHook(err, callback);
+					}
+
+					callback(null, afterHookParams.obj);
+				});
+			});
+		});
+	});
+
+	Collection.prototype.count = utils.withPromise(function() {
+		var self = this;
+
+		var args = Array.prototype.slice.call(arguments, 0),
+			callback = args.pop(),
+			query = args.length ? args.shift() || {} : {},
+			options = args.length ? args.shift() || {} : {};
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var triggerErrorHook = this._getTriggerErrorHook({
+			condition: query,
+			options: options,
+			context: context,
+			method: 'count'
+		}, trigger);
+
+		var beforeHookParams = {
+			condition: query,
+			options: options,
+			context: context,
+			meta: {}
+		};
+
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeCount', [beforeHookParams], function(err) {
+			if (err) {
+				return triggerErrorHook(err, callback);
+			}
+
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
+			driver.call(
+				self,
+				SourceCollection.prototype.count,
+				[beforeHookParams.condition, options],
+				function(err, count) {
+					if (err) {
+						return triggerErrorHook(err, callback);
+					}
+
+					callback(null, count);
+				}
+			);
+		});
+	});
+
+	Collection.prototype.distinct = utils.withPromise(function(key) {
+		var self = this;
+
+		var args = Array.prototype.slice.call(arguments, 1),
+			callback = args.pop(),
+			query = args.length ? args.shift() || {} : {},
+			options = args.length ? args.shift() || {} : {};
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var triggerErrorHook = this._getTriggerErrorHook({
+			key: key,
+			condition: query,
+			options: options,
+			context: context,
+			method: 'distinct'
+		}, trigger);
+
+		var beforeHookParams = {
+			key: key,
+			condition: query,
+			options: options,
+			context: context,
+			meta: {}
+		};
+
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeDistinct', [beforeHookParams], function(err) {
+			if (err) {
+				return triggerErrorHook(err, callback);
+			}
+
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
+			driver.call(
+				self,
+				SourceCollection.prototype.distinct,
+				[beforeHookParams.key, beforeHookParams.condition, options],
+				function(err, values) {
+					if (err) {
+						return triggerErrorHook(err, callback);
+					}
 
-		this.find(selector, fields).limit(1).next(callback);
+					callback(null, values);
+				}
+			);
+		});
 	});
 };
@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 module.exports = function(Collection) {
 	Collection.prototype.findOneAndDelete = utils.withPromise(function(
@@ -17,33 +17,49 @@ module.exports = function(Collection) {
 		options = options || {};
 
 		if (!this._checkMethodSupport('findOneAndDelete')) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage('findOneAndDelete'),
 				driver: true
 			}));
 		}
 
+		// hooks could extend condition, so caller's filter is not changed
+		filter = utils.deepClone(filter || {});
+
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
 		var triggerErrorHook = this._getTriggerErrorHook({
 			condition: filter,
 			options: options,
+			context: context,
+			meta: meta,
 			method: 'findOneAndDelete'
-		});
+		}, trigger);
 
 		var isReturnDocsOnly = this._getExtendOption(options, 'returnDocsOnly');
 
-		var meta = {};
-
 		var beforeHookParams = {
 			condition: filter,
 			options: options,
-			meta: meta
+			context: context,
+			meta: meta,
+			method: 'findOneAndDelete'
 		};
 
-		this.trigger('beforeDeleteOne', [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeDeleteOne', [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
 			var sourceMethodCallback = function(err, deleteResult) {
 				if (err) {
 					return triggerErrorHook(err, callback);
@@ -57,11 +73,13 @@ module.exports = function(Collection) {
 				var afterHookParams = {
 					condition: filter,
 					options: options,
+					context: context,
 					meta: meta,
-					result: nativeResult
+					result: nativeResult,
+					obj: deleteResult.value
 				};
 
-				self.trigger('afterDeleteOne', [afterHookParams], function(err) {
+				trigger('afterDeleteOne', [afterHookParams], function(err) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
@@ -72,8 +90,11 @@ module.exports = function(Collection) {
 				});
 			};
 
-			SourceCollection.prototype.findOneAndDelete.call(
-				self, filter, options, sourceMethodCallback
+			driver.call(
+				self,
+				SourceCollection.prototype.findOneAndDelete,
+				[filter, driver.getFindAndModifyOptions(options)],
+				sourceMethodCallback
 			);
 		});
 	});
@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 module.exports = function(Collection) {
 	Collection.prototype.findOneAndReplace = utils.withPromise(function(
@@ -17,14 +17,14 @@ module.exports = function(Collection) {
 		options = options || {};
 
 		if (!this._checkMethodSupport('findOneAndReplace')) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage('findOneAndReplace'),
 				driver: true
 			}));
 		}
 
 		if ('upsert' in options) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: (
 					'Cannot upsert using "findOneAndReplace", ' +
 					'use "upsert" method instead'
@@ -33,37 +33,51 @@ module.exports = function(Collection) {
 			}));
 		}
 
+		// hooks could extend condition, so caller's filter is not changed
+		filter = utils.deepClone(filter || {});
 		replacement = utils.deepClone(replacement);
 
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
 		var triggerErrorHook = this._getTriggerErrorHook({
 			condition: filter,
 			replacement: replacement,
 			options: options,
+			context: context,
+			meta: meta,
 			method: 'findOneAndReplace'
-		});
+		}, trigger);
 
 		var isReturnDocsOnly = this._getExtendOption(options, 'returnDocsOnly');
 
-		var meta = {};
-
 		var beforeHookParams = {
 			condition: filter,
 			replacement: replacement,
 			options: options,
+			context: context,
 			meta: meta
 		};
 
-		this.trigger('beforeReplaceOne', [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeReplaceOne', [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
 			var sourceReplaceCallback = function(err, replaceResult) {
 				if (err) {
 					return triggerErrorHook(err, callback);
 				}
 
-				var lastErrorObject = replaceResult.lstErrorObject;
+				var lastErrorObject = replaceResult.lastErrorObject;
 				var matchedCount = lastErrorObject ? lastErrorObject.n : 0;
 				var nativeResult = {
 					matchedCount: matchedCount,
@@ -75,11 +89,19 @@ module.exports = function(Collection) {
 					condition: filter,
 					replacement: replacement,
 					options: options,
+					context: context,
 					meta: meta,
 					result: nativeResult
 				};
 
-				self.trigger('afterReplaceOne', [afterHookParams], function(err) {
+				// driver returns either original or updated document
+				if (utils.isReturnOriginal(options)) {
+					afterHookParams.originalObj = replaceResult.value;
+				} else {
+					afterHookParams.obj = replaceResult.value;
+				}
+
+				trigger('afterReplaceOne', [afterHookParams], function(err) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
@@ -90,8 +112,11 @@ module.exports = function(Collection) {
 				});
 			};
 
-			SourceCollection.prototype.findOneAndReplace.call(
-				self, filter, replacement, options, sourceReplaceCallback
+			driver.call(
+				self,
+				SourceCollection.prototype.findOneAndReplace,
+				[filter, replacement, driver.getFindAndModifyOptions(options)],
+				sourceReplaceCallback
 			);
 		});
 	});
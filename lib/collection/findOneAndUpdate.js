@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 module.exports = function(Collection) {
 	Collection.prototype.findOneAndUpdate = utils.withPromise(function(
@@ -17,14 +17,14 @@ module.exports = function(Collection) {
 		options = options || {};
 
 		if (!this._checkMethodSupport('findOneAndUpdate')) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage('findOneAndUpdate'),
 				driver: true
 			}));
 		}
 
 		if ('upsert' in options) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: (
 					'Cannot upsert using "findOneAndUpdate", ' +
 					'use "upsert" method instead'
@@ -33,31 +33,45 @@ module.exports = function(Collection) {
 			}));
 		}
 
+		// hooks could extend condition, so caller's filter is not changed
+		filter = utils.deepClone(filter || {});
 		update = utils.deepClone(update);
 
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
 		var triggerErrorHook = this._getTriggerErrorHook({
 			condition: filter,
 			modifier: update,
 			options: options,
+			context: context,
+			meta: meta,
 			method: 'findOneAndUpdate'
-		});
+		}, trigger);
 
 		var isReturnDocsOnly = this._getExtendOption(options, 'returnDocsOnly');
 
-		var meta = {};
-
 		var beforeHookParams = {
 			condition: filter,
 			modifier: update,
 			options: options,
+			context: context,
 			meta: meta
 		};
 
-		this.trigger('beforeUpdateOne', [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeUpdateOne', [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
 			var sourceCallback = function(err, updateResult) {
 				if (err) {
 					return triggerErrorHook(err, callback);
@@ -74,11 +88,19 @@ module.exports = function(Collection) {
 					condition: filter,
 					modifier: update,
 					options: options,
+					context: context,
 					meta: meta,
 					result: nativeResult
 				};
 
-				self.trigger('afterUpdateOne', [afterHookParams], function(err) {
+				// driver returns either original or updated document
+				if (utils.isReturnOriginal(options)) {
+					afterHookParams.originalObj = updateResult.value;
+				} else {
+					afterHookParams.obj = updateResult.value;
+				}
+
+				trigger('afterUpdateOne', [afterHookParams], function(err) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
@@ -89,8 +111,11 @@ module.exports = function(Collection) {
 				});
 			};
 
-			SourceCollection.prototype.findOneAndUpdate.call(
-				self, filter, update, options, sourceCallback
+			driver.call(
+				self,
+				SourceCollection.prototype.findOneAndUpdate,
+				[filter, update, driver.getFindAndModifyOptions(options)],
+				sourceCallback
 			);
 		});
 	});
@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 module.exports = function(Collection) {
 	Collection.prototype.findOneAndUpsert = utils.withPromise(function(
@@ -17,20 +17,29 @@ module.exports = function(Collection) {
 		options = options || {};
 
 		if (!this._checkMethodSupport('findOneAndUpsert')) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage('findOneAndUpsert'),
 				driver: true
 			}));
 		}
 
+		// hooks could extend condition, so caller's filter is not changed
+		filter = utils.deepClone(filter || {});
 		update = utils.deepClone(update);
 
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
 		var triggerErrorHook = this._getTriggerErrorHook({
 			condition: filter,
 			modifier: update,
 			options: options,
+			context: context,
+			meta: meta,
 			method: 'findOneAndUpsert'
-		});
+		}, trigger);
 
 		var isReturnDocsOnly = this._getExtendOption(options, 'returnDocsOnly');
 
@@ -39,20 +48,25 @@ module.exports = function(Collection) {
 			utils.isModifier(update) ? 'findOneAndUpdate' : 'findOneAndReplace'
 		);
 
-		var meta = {};
-
 		var beforeHookParams = {
 			condition: filter,
 			modifier: update,
 			options: options,
+			context: context,
 			meta: meta
 		};
 
-		this.trigger('beforeUpsertOne', [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeUpsertOne', [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
 			var sourceCallback = function(err, upsertResult) {
 				if (err) {
 					return triggerErrorHook(err, callback);
@@ -62,12 +76,13 @@ module.exports = function(Collection) {
 					condition: filter,
 					modifier: update,
 					options: options,
+					context: context,
 					meta: meta,
 					obj: upsertResult.value,
 					isUpdated: Boolean(upsertResult.lastErrorObject.updatedExisting)
 				};
 
-				self.trigger('afterUpsertOne', [afterHookParams], function(err) {
+				trigger('afterUpsertOne', [afterHookParams], function(err) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
@@ -78,17 +93,17 @@ module.exports = function(Collection) {
 				});
 			};
 
-			var sourceOptions = {};
-			for (var key in options) {
-				sourceOptions[key] = options[key];
-			}
+			var sourceOptions = driver.getFindAndModifyOptions(options);
 			sourceOptions.upsert = true;
 
 			// try to call function twice because of bug:
 			// https://jira.mongodb.org/browse/SERVER-14322
 			var callSourceFunction = function(callback) {
-				SourceCollection.prototype[sourceMethodName].call(
-					self, filter, update, sourceOptions, callback
+				driver.call(
+					self,
+					SourceCollection.prototype[sourceMethodName],
+					[filter, update, sourceOptions],
+					callback
 				);
 			};
 			callSourceFunction(function(err) {
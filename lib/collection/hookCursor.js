@@ -0,0 +1,211 @@
+'use strict';
+
+var Readable = require('stream').Readable;
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+/**
+ * Patch cursor methods, which fetch documents (including streams), to
+ * trigger before hooks before the query is sent and after hooks for every
+ * fetched document.
+ * Accepts `cursor`, before hook `params`, `beforeHookName`,
+ * `afterHookName`, `applyParams` function that applies params changed by
+ * before hooks to the cursor, `trigger` and `triggerErrorHook` functions
+ * of the call.
+ */
+module.exports = function(options) {
+	var cursor = options.cursor,
+		params = options.params,
+		trigger = options.trigger,
+		triggerErrorHook = options.triggerErrorHook;
+
+	var sourceMethods = {
+		next: cursor.next,
+		hasNext: cursor.hasNext,
+		toArray: cursor.toArray,
+		count: cursor.count
+	};
+
+	var beforeHooksPromise;
+
+	var triggerBeforeHooks = function(callback) {
+		if (!beforeHooksPromise) {
+			beforeHooksPromise = new Promise(function(resolve, reject) {
+				trigger(options.beforeHookName, [params], function(err) {
+					if (err) {
+						// there is no result to recover the whole cursor with
+						return triggerErrorHook(err, function(hookErr) {
+							reject(hookErr || err);
+						});
+					}
+
+					options.applyParams(params);
+
+					resolve();
+				});
+			});
+		}
+
+		beforeHooksPromise.then(function() {
+			callback();
+		}, callback);
+	};
+
+	var triggerAfterHooks = function(doc, callback) {
+		if (!doc) {
+			return callback(null, doc);
+		}
+
+		var afterHookParams = {obj: doc};
+		for (var key in params) {
+			afterHookParams[key] = params[key];
+		}
+
+		trigger(options.afterHookName, [afterHookParams], function(err) {
+			if (err) {
+				return triggerErrorHook(err, callback);
+			}
+
+			callback(null, afterHookParams.obj);
+		});
+	};
+
+	cursor.next = utils.withPromise(function(callback) {
+		triggerBeforeHooks(function(err) {
+			if (err) return callback(err);
+
+			driver.call(cursor, sourceMethods.next, [], function(err, doc) {
+				if (err) return callback(err);
+
+				triggerAfterHooks(doc, callback);
+			});
+		});
+	});
+
+	cursor.hasNext = utils.withPromise(function(callback) {
+		triggerBeforeHooks(function(err) {
+			if (err) return callback(err);
+
+			driver.call(cursor, sourceMethods.hasNext, [], callback);
+		});
+	});
+
+	cursor.toArray = utils.withPromise(function(callback) {
+		triggerBeforeHooks(function(err) {
+			if (err) return callback(err);
+
+			driver.call(cursor, sourceMethods.toArray, [], function(err, docs) {
+				if (err) return callback(err);
+
+				var resultDocs = [];
+				utils.eachSeries(docs, function(doc, index, callback) {
+					triggerAfterHooks(doc, function(err, resultDoc) {
+						if (err) return callback(err);
+
+						resultDocs.push(resultDoc);
+						callback();
+					});
+				}, function(err) {
+					callback(err, err ? null : resultDocs);
+				});
+			});
+		});
+	});
+
+	var forEach = function(iterator, callback) {
+		var iterate = function() {
+			cursor.next(function(err, doc) {
+				if (err) return callback(err);
+				if (!doc) return callback(null);
+
+				try {
+					iterator(doc);
+				} catch(err) {
+					return callback(err);
+				}
+
+				iterate();
+			});
+		};
+
+		iterate();
+	};
+
+	// iterator is a function too, so `utils.withPromise` can't be used here
+	cursor.forEach = function(iterator, callback) {
+		if (typeof callback === 'function') {
+			forEach(iterator, callback);
+		} else {
+			return new Promise(function(resolve, reject) {
+				forEach(iterator, function(err) {
+					if (err) {
+						reject(err);
+					} else {
+						resolve();
+					}
+				});
+			});
+		}
+	};
+
+	// push next document (or the end) to the stream, errors of hooks and
+	// the driver are emitted by the stream
+	var readToStream = function(stream, transform) {
+		cursor.next(function(err, doc) {
+			if (err) {
+				stream.emit('error', err);
+				return stream.push(null);
+			}
+
+			stream.push(doc && transform ? transform(doc) : doc);
+		});
+	};
+
+	var getStreamTransform = function(streamOptions) {
+		return streamOptions && streamOptions.transform || null;
+	};
+
+	// cursor of old drivers is readable stream itself, newer drivers
+	// create separate stream, both read documents from the source cursor,
+	// so they are fed by patched `next`
+	if (typeof cursor._read === 'function') {
+		var streamTransform = null;
+
+		cursor._read = function() {
+			readToStream(cursor, streamTransform);
+		};
+
+		cursor.stream = function(streamOptions) {
+			streamTransform = getStreamTransform(streamOptions);
+			return cursor;
+		};
+	} else if (cursor.stream) {
+		cursor.stream = function(streamOptions) {
+			var transform = getStreamTransform(streamOptions);
+
+			var stream = new Readable({
+				objectMode: true,
+				read: function() {
+					readToStream(stream, transform);
+				}
+			});
+
+			return stream;
+		};
+	}
+
+	if (sourceMethods.count) {
+		cursor.count = utils.withPromise(function() {
+			var args = Array.prototype.slice.call(arguments, 0),
+				callback = args.pop();
+
+			triggerBeforeHooks(function(err) {
+				if (err) return callback(err);
+
+				driver.call(cursor, sourceMethods.count, args, callback);
+			});
+		});
+	}
+
+	return cursor;
+};
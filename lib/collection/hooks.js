@@ -0,0 +1,215 @@
+'use strict';
+
+var utils = require('../utils');
+
+var checkAction = function(action, hooks) {
+	if (!hooks.hasOwnProperty(action)) {
+		throw new Error('Unknown action: `' + action + '`');
+	}
+};
+
+// create hook which will be stored at hooks list, it keeps original hook and
+// registration options to allow removal and introspection
+var createHookEntry = function(collection, action, hook, options) {
+	var callbackStyleHook = utils.callbackifyHook(hook),
+		called = false;
+
+	var hookEntry = function() {
+		if (options.once) {
+			var args = Array.prototype.slice.call(arguments, 0),
+				callback = args[args.length - 1];
+
+			// concurrent triggers could catch hook before it is removed
+			if (called) {
+				return callback();
+			}
+
+			called = true;
+			collection._hooks[action] = collection._hooks[action].filter(
+				function(anotherHookEntry) {
+					return anotherHookEntry !== hookEntry;
+				}
+			);
+		}
+
+		return callbackStyleHook.apply(this, arguments);
+	};
+
+	hookEntry.hook = hook;
+	hookEntry.tag = options.tag;
+	hookEntry.once = Boolean(options.once);
+	hookEntry.priority = options.priority || 0;
+	hookEntry.before = [].concat(options.before || []);
+	hookEntry.after = [].concat(options.after || []);
+	hookEntry.index = hookEntriesCount++;
+
+	return hookEntry;
+};
+
+var hookEntriesCount = 0;
+
+/**
+ * Sort hooks by priority (hooks with higher priority go first, hooks with
+ * equal priority keep registration order), then move hooks to satisfy
+ * `before` and `after` constraints - tags of hooks that should be called
+ * after or before current one.
+ */
+var sortHookEntries = function(action, hookEntries) {
+	var sortedHookEntries = hookEntries.slice().sort(function(a, b) {
+		return (b.priority - a.priority) || (a.index - b.index);
+	});
+
+	// indexes of hooks that should be called before each hook
+	var dependencies = sortedHookEntries.map(function() {
+		return [];
+	});
+	sortedHookEntries.forEach(function(hookEntry, index) {
+		sortedHookEntries.forEach(function(anotherHookEntry, anotherIndex) {
+			var tag = anotherHookEntry.tag;
+			if (tag === undefined || tag === hookEntry.tag) return;
+
+			if (hookEntry.before.indexOf(tag) !== -1) {
+				dependencies[anotherIndex].push(index);
+			}
+			if (hookEntry.after.indexOf(tag) !== -1) {
+				dependencies[index].push(anotherIndex);
+			}
+		});
+	});
+
+	var result = [],
+		added = {};
+
+	var isReady = function(index) {
+		return !added[index] && dependencies[index].every(function(dependency) {
+			return added[dependency];
+		});
+	};
+
+	while (result.length < sortedHookEntries.length) {
+		var readyIndex = -1;
+		for (var index = 0; index < sortedHookEntries.length; index++) {
+			if (isReady(index)) {
+				readyIndex = index;
+				break;
+			}
+		}
+
+		if (readyIndex === -1) {
+			throw new Error('Cyclic order of hooks for action `' + action + '`');
+		}
+
+		added[readyIndex] = true;
+		result.push(sortedHookEntries[readyIndex]);
+	}
+
+	return result;
+};
+
+module.exports = function(Collection) {
+	/**
+	 * Add `hook` to `action`, hook could be either callback style function or
+	 * function which returns promise. Options:
+	 * `tag` - marks hook (e.g. by plugin name)
+	 * `priority` - hooks with higher priority are called first, 0 by default
+	 * `before`, `after` - tag or array of tags of hooks that should be called
+	 * after or before this hook
+	 * Hooks added by plugin are marked with plugin name and get plugin
+	 * ordering options.
+	 */
+	Collection.prototype.on = function(action, hook, options) {
+		options = options || {};
+
+		checkAction(action, this._hooks);
+
+		if (typeof hook !== 'function') {
+			throw new Error('`hook` is not a function');
+		}
+
+		var pluginHookOptions = this._pluginHookOptions || {};
+
+		var hookOptions = {
+			tag: 'tag' in options ? options.tag : pluginHookOptions.tag,
+			once: options.once
+		};
+		['priority', 'before', 'after'].forEach(function(key) {
+			hookOptions[key] = key in pluginHookOptions ?
+				pluginHookOptions[key] : options[key];
+		});
+
+		this._hooks[action] = sortHookEntries(
+			action,
+			this._hooks[action].concat(
+				createHookEntry(this, action, hook, hookOptions)
+			)
+		);
+
+		return this;
+	};
+
+	// add hook which will be removed after the first call
+	Collection.prototype.once = function(action, hook, options) {
+		var hookOptions = {once: true};
+		for (var key in options) {
+			hookOptions[key] = options[key];
+		}
+
+		return this.on(action, hook, hookOptions);
+	};
+
+	// remove `hook` from `action`, remove all hooks of `action` if `hook` is
+	// not set
+	Collection.prototype.off = function(action, hook) {
+		checkAction(action, this._hooks);
+
+		this._hooks[action] = this._hooks[action].filter(function(hookEntry) {
+			return hook ? hookEntry.hook !== hook : false;
+		});
+
+		return this;
+	};
+
+	// remove all hooks marked with `tag`
+	Collection.prototype.offTag = function(tag) {
+		for (var action in this._hooks) {
+			this._hooks[action] = this._hooks[action].filter(
+				function(hookEntry) {
+					return hookEntry.tag !== tag;
+				}
+			);
+		}
+
+		return this;
+	};
+
+	// remove all hooks added by plugin
+	Collection.prototype.removePlugin = function(name) {
+		return this.offTag(name);
+	};
+
+	// return list of hooks descriptions for `action` or for all actions
+	Collection.prototype.listHooks = function(action) {
+		var actions;
+		if (action) {
+			checkAction(action, this._hooks);
+			actions = [action];
+		} else {
+			actions = Object.keys(this._hooks);
+		}
+
+		var self = this;
+		var hooks = [];
+		actions.forEach(function(action) {
+			self._hooks[action].forEach(function(hookEntry) {
+				hooks.push({
+					action: action,
+					hook: hookEntry.hook,
+					tag: hookEntry.tag,
+					once: hookEntry.once
+				});
+			});
+		});
+
+		return hooks;
+	};
+};
@@ -1,57 +1,103 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var util = require('util');
 var Hook = require('mhook').Hook;
+var driver = require('../driver').driver;
+
+// actions which hooks could be added to
+var hookActions = [
+	'beforeInsertOne', 'afterInsertOne',
+	'beforeInsertMany', 'afterInsertMany',
+	'beforeUpdateOne', 'afterUpdateOne',
+	'beforeUpdateMany', 'afterUpdateMany',
+	'beforeDeleteOne', 'afterDeleteOne',
+	'beforeDeleteMany', 'afterDeleteMany',
+	'beforeReplaceOne', 'afterReplaceOne',
+	'beforeUpsertOne', 'afterUpsertOne',
+	'beforeBulkWrite', 'afterBulkWrite',
+	'beforeFind', 'afterFind',
+	'beforeFindOne', 'afterFindOne',
+	'beforeCount', 'beforeDistinct',
+	'beforeAggregate', 'afterAggregate',
+	'beforeDrop', 'afterDrop',
+	'beforeRename', 'afterRename',
+	'beforeCreateIndex', 'afterCreateIndex',
+	'beforeDropIndex',
+	'afterCommit', 'afterAbort',
+	'changeInsert', 'changeUpdate', 'changeDelete',
+	'error'
+];
+
+var legacyMethodsModes = ['error', 'translate'];
 
 var Collection = function(db, collectionName, options) {
 	options = options || {};
 
-	SourceCollection.call(
-		this,
-		db,
-		db.s.topology,
-		db.s.databaseName || db.s.namespace.db,
-		collectionName,
-		null,
-		options
+	if (
+		options.legacyMethods &&
+		legacyMethodsModes.indexOf(options.legacyMethods) === -1
+	) {
+		throw new Error(
+			'Unknown legacyMethods mode: `' + options.legacyMethods + '`'
+		);
+	}
+
+	var self = driver.initCollection(
+		this, SourceCollection, db, collectionName, options
 	);
 
-	Hook.apply(this, [[
-		'beforeInsertOne', 'afterInsertOne',
-		'beforeInsertMany', 'afterInsertMany',
-		'beforeUpdateOne', 'afterUpdateOne',
-		'beforeUpdateMany', 'afterUpdateMany',
-		'beforeDeleteOne', 'afterDeleteOne',
-		'beforeDeleteMany', 'afterDeleteMany',
-		'beforeReplaceOne', 'afterReplaceOne',
-		'beforeUpsertOne', 'afterUpsertOne',
-		'error'
-	]]);
+	Hook.apply(self, [hookActions]);
+
+	return self;
 };
 
 util.inherits(Collection, SourceCollection);
 
-Collection.prototype.on = Hook.prototype.on;
+Collection.hookActions = hookActions;
+
 Collection.prototype.trigger = Hook.prototype.trigger;
 
 Collection.prototype.defaultExtendOptions = {
 	returnDocsOnly: true,
-	returnResultOnly: true
+	returnResultOnly: true,
+	captureDocs: null,
+	context: null,
+	skipHooks: false,
+	skipPlugins: null
 };
 
+// extend option value could be set per call, per collection (at
+// constructor options) or taken from defaults
 Collection.prototype._getExtendOption = function(options, optionName) {
 	var optionValue;
 	if (optionName in options) {
 		optionValue = options[optionName];
 		delete options[optionName];
+	} else if (optionName in this.s.options) {
+		optionValue = this.s.options[optionName];
 	} else {
 		optionValue = this.defaultExtendOptions[optionName];
 	}
 	return optionValue;
 };
 
+// plugins could add their own extend options, values of them are taken
+// from options of the call by `_getTrigger` and passed to hooks as
+// `extendOptions` param, so they are not passed to the driver
+Collection.prototype._addExtendOption = function(optionName, defaultValue) {
+	var defaultExtendOptions = {};
+	for (var key in this.defaultExtendOptions) {
+		defaultExtendOptions[key] = this.defaultExtendOptions[key];
+	}
+	defaultExtendOptions[optionName] = defaultValue;
+
+	this.defaultExtendOptions = defaultExtendOptions;
+	this._pluginExtendOptionNames = (
+		this._pluginExtendOptionNames || []
+	).concat(optionName);
+};
+
 Collection.prototype._checkMethodSupport = function(methodName) {
 	var supportedMethods = this.s.options.changeDataMethods;
 	return !supportedMethods || supportedMethods.indexOf(methodName) !== -1;
@@ -62,7 +108,96 @@ Collection.prototype._getUnsupportedErrorMessage = function(methodName) {
 		(this.s.name || this.s.namespace.collection) + '" is not supported';
 };
 
-Collection.prototype._getTriggerErrorHook = function(params) {
+var captureDocsModes = ['before', 'after', 'both'];
+
+Collection.prototype._checkCaptureDocsOption = function(captureDocs) {
+	return !captureDocs || captureDocsModes.indexOf(captureDocs) !== -1;
+};
+
+Collection.prototype._getCaptureDocsErrorMessage = function() {
+	return 'captureDocs option must be one of "' +
+		captureDocsModes.join('", "') + '"';
+};
+
+// load documents affected by multi document write, hooks are not triggered
+Collection.prototype._captureDocs = function(condition, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	var cursor = SourceCollection.prototype.find.call(this, condition, options);
+	driver.call(cursor, 'toArray', [], callback);
+};
+
+// return function which triggers hooks of the call, hooks could be skipped
+// with `skipHooks` (true for all hooks or array of actions) and
+// `skipPlugins` (array of names of plugins which hooks are skipped) options.
+// Extend options added by plugins are taken from `options` as well.
+// Params of after hooks of operations made inside transaction of `session`
+// option are deferred till the end of transaction.
+Collection.prototype._getTrigger = function(options) {
+	var self = this,
+		skipHooks = this._getExtendOption(options, 'skipHooks'),
+		skipPlugins = this._getExtendOption(options, 'skipPlugins'),
+		session = options.session;
+
+	var skipActions = Array.isArray(skipHooks) ? skipHooks : [];
+	skipPlugins = skipPlugins ? [].concat(skipPlugins) : [];
+
+	var isSkippedAction = function(action) {
+		return skipHooks === true || skipActions.indexOf(action) !== -1;
+	};
+
+	var extendOptions = null;
+	if (this._pluginExtendOptionNames) {
+		extendOptions = {};
+		this._pluginExtendOptionNames.forEach(function(optionName) {
+			extendOptions[optionName] = self._getExtendOption(options, optionName);
+		});
+	}
+
+	var triggerHooks = function(action, hookArgs, callback) {
+		if (extendOptions) {
+			hookArgs[0].extendOptions = extendOptions;
+		}
+
+		if (!skipHooks && !skipPlugins.length) {
+			return self.trigger(action, hookArgs, callback);
+		}
+
+		var hooks = {};
+		hooks[action] = isSkippedAction(action) ? [] : (
+			(self._hooks[action] || []).filter(function(hookEntry) {
+				return skipPlugins.indexOf(hookEntry.tag) === -1;
+			})
+		);
+
+		return Hook.prototype.trigger.call(
+			{_hooks: hooks}, action, hookArgs, callback
+		);
+	};
+
+	if (!session) {
+		return triggerHooks;
+	}
+
+	return function(action, hookArgs, callback) {
+		return triggerHooks(action, hookArgs, function(err) {
+			if (!err && !isSkippedAction(action)) {
+				self._deferTransactionHook(session, action, hookArgs[0]);
+			}
+
+			callback(err);
+		});
+	};
+};
+
+// `trigger` is a function returned by `_getTrigger`, it's used to trigger
+// error hook with the same skip options as other hooks of the call.
+// Error hook could recover from the error by setting `result` to params,
+// then the call is resolved successfully with that result.
+Collection.prototype._getTriggerErrorHook = function(params, trigger) {
 	var self = this;
 
 	return function(err, callback) {
@@ -73,12 +208,58 @@ Collection.prototype._getTriggerErrorHook = function(params) {
 		errorTriggerParams.namespace = self.namespace;
 		errorTriggerParams.error = err;
 
-		self.trigger('error', [errorTriggerParams], function(err) {
-			callback(err || errorTriggerParams.error);
+		trigger('error', [errorTriggerParams], function(err) {
+			if (!err && 'result' in errorTriggerParams) {
+				callback(null, errorTriggerParams.result);
+			} else {
+				callback(err || errorTriggerParams.error);
+			}
 		});
 	};
 };
 
+// add `cancel(result)` and `rewrite(method, args...)` functions to before
+// hook params, they allow hook to return substitute result without touching
+// the database or to replace the operation by call of another method.
+// Returns controls which should be applied after before hooks.
+Collection.prototype._addBeforeHookControls = function(params) {
+	var self = this,
+		controls = {};
+
+	params.cancel = function(result) {
+		controls.action = 'cancel';
+		controls.result = result;
+	};
+
+	params.rewrite = function(method) {
+		if (typeof self[method] !== 'function' || method.charAt(0) === '_') {
+			throw new Error('Unknown method to rewrite: `' + method + '`');
+		}
+
+		controls.action = 'rewrite';
+		controls.method = method;
+		controls.args = Array.prototype.slice.call(arguments, 1);
+	};
+
+	return controls;
+};
+
+// pass substitute result or result of rewritten operation to the `callback`,
+// returns false if hooks didn't cancel or rewrite the operation
+Collection.prototype._applyBeforeHookControls = function(controls, callback) {
+	if (controls.action === 'cancel') {
+		callback(null, controls.result);
+		return true;
+	} else if (controls.action === 'rewrite') {
+		this[controls.method].apply(this, controls.args.concat(callback));
+		return true;
+	} else {
+		return false;
+	}
+};
+
+var pluginOrderOptions = ['priority', 'before', 'after'];
+
 Collection.prototype.addPlugin = function(plugin, options) {
 	var initPlugin;
 	if (typeof plugin === 'string') {
@@ -86,7 +267,7 @@ Collection.prototype.addPlugin = function(plugin, options) {
 			initPlugin = require('../plugins')[plugin];
 		} catch(err) {
 			if (err.code === 'MODULE_NOT_FOUND') {
-				throw new MongoError.create({
+				throw driver.createError({
 					message: 'Plugin "' + plugin + '" is undefined',
 					driver: true
 				});
@@ -99,13 +280,40 @@ Collection.prototype.addPlugin = function(plugin, options) {
 	}
 
 	if (typeof initPlugin !== 'function') {
-		throw new MongoError.create({
+		throw driver.createError({
 			message: 'Unknown plugin type',
 			driver: true
 		});
 	}
 
-	initPlugin(this, options);
+	// hooks added by plugin are marked with its name and get its ordering
+	// options, which are not passed to plugin
+	var pluginHookOptions = {
+		tag: typeof plugin === 'string' ? plugin : (
+			initPlugin.pluginName || initPlugin.name || undefined
+		)
+	};
+
+	var pluginOptions;
+	if (options) {
+		pluginOptions = {};
+		for (var key in options) {
+			if (pluginOrderOptions.indexOf(key) !== -1) {
+				pluginHookOptions[key] = options[key];
+			} else {
+				pluginOptions[key] = options[key];
+			}
+		}
+	}
+
+	var prevPluginHookOptions = this._pluginHookOptions;
+	this._pluginHookOptions = pluginHookOptions;
+
+	try {
+		initPlugin(this, pluginOptions);
+	} finally {
+		this._pluginHookOptions = prevPluginHookOptions;
+	}
 };
 
 // override deprecated methods, throw error
@@ -120,11 +328,10 @@ var generateDeprecatedMethodFunction = function(methodName, alternatives) {
 		if (alternatives.length === 1) {
 			alternativeString = alternatives[0];
 		} else {
-			var lastItem = alternatives.pop();
-			alternativeString = alternatives.join('", "') + '" or "' +
-				lastItem;
+			alternativeString = alternatives.slice(0, -1).join('", "') +
+				'" or "' + alternatives[alternatives.length - 1];
 		}
-		callback(MongoError.create({
+		callback(driver.createError({
 			message: 'Method "' + methodName + '" is deprecated, use "' +
 				alternativeString + '" instead',
 			driver: true
@@ -138,6 +345,13 @@ var deprecatedMethods = [{
 }, {
 	name: 'ensureIndex',
 	alternatives: 'createIndexes'
+}, {
+	// `findAndModify` is passed to the driver, while driver has it
+	name: 'findAndModify',
+	alternatives: [
+		'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'
+	],
+	isSourceKept: true
 }, {
 	name: 'findAndRemove',
 	alternatives: 'findOneAndDelete'
@@ -156,6 +370,10 @@ var deprecatedMethods = [{
 }];
 
 deprecatedMethods.forEach(function(method) {
+	if (method.isSourceKept && SourceCollection.prototype[method.name]) {
+		return;
+	}
+
 	Collection.prototype[method.name] = generateDeprecatedMethodFunction(
 		method.name,
 		method.alternatives
@@ -163,12 +381,18 @@ deprecatedMethods.forEach(function(method) {
 });
 
 var apiMethods = [
-	'find',
+	'hooks',
+	'transactions',
+	'find', 'aggregate',
 	'insertOne', 'insertMany',
 	'update', 'findOneAndUpdate',
 	'delete', 'findOneAndDelete',
 	'replaceOne', 'findOneAndReplace',
-	'findOneAndUpsert'
+	'findOneAndUpsert',
+	'bulkWrite',
+	'ddl',
+	'watchHooks',
+	'legacyMethods'
 ];
 
 apiMethods.forEach(function(method) {
@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 module.exports = function(Collection) {
 	Collection.prototype.insertMany = utils.withPromise(function(
@@ -17,14 +17,14 @@ module.exports = function(Collection) {
 		options = options || {ordered: true};
 
 		if (!this._checkMethodSupport('insertMany')) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage('insertMany'),
 				driver: true
 			}));
 		}
 
 		if (!Array.isArray(docs)) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: 'docs parameter must be an array of documents',
 				driver: true
 			}));
@@ -32,49 +32,116 @@ module.exports = function(Collection) {
 
 		docs = utils.deepClone(docs);
 
-		var triggerErrorHook = this._getTriggerErrorHook({
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
+		var errorHookParams = {
 			docs: docs,
 			options: options,
+			context: context,
+			meta: meta,
 			method: 'insertMany'
-		});
+		};
 
-		var isReturnDocsOnly = this._getExtendOption(options, 'returnDocsOnly');
+		var triggerErrorHook = this._getTriggerErrorHook(
+			errorHookParams, trigger
+		);
 
-		var meta = {};
+		var isReturnDocsOnly = this._getExtendOption(options, 'returnDocsOnly');
 
 		var beforeHookParams = {
 			objs: docs,
 			options: options,
+			context: context,
 			meta: meta
 		};
 
-		this.trigger('beforeInsertMany', [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeInsertMany', [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
+			// unordered insert fails after the attempt to insert all documents,
+			// inserted ones are passed to after hook, failed ones are passed
+			// with their write errors to both after and error hooks
+			var handlePartialFailure = function(err) {
+				var writeErrors = driver.getWriteErrors(err),
+					failedIndexes = {};
+
+				var failedObjs = writeErrors.map(function(writeError) {
+					failedIndexes[writeError.index] = true;
+
+					return {
+						obj: docs[writeError.index],
+						index: writeError.index,
+						error: writeError
+					};
+				});
+
+				var insertedDocs = docs.filter(function(doc, index) {
+					return !failedIndexes[index];
+				});
+
+				errorHookParams.insertedObjs = insertedDocs;
+				errorHookParams.failedObjs = failedObjs;
+
+				if (!insertedDocs.length) {
+					return triggerErrorHook(err, callback);
+				}
+
+				var afterHookParams = {
+					objs: insertedDocs,
+					failedObjs: failedObjs,
+					options: options,
+					context: context,
+					meta: meta
+				};
+
+				trigger('afterInsertMany', [afterHookParams], function(hookErr) {
+					triggerErrorHook(hookErr || err, callback);
+				});
+			};
+
 			var sourceInsertCallback = function(err, result) {
 				if (err) {
+					if (options.ordered === false && err.writeErrors) {
+						return handlePartialFailure(err);
+					}
+
 					return triggerErrorHook(err, callback);
 				}
 
+				var insertedDocs = driver.getInsertedDocs(result, docs);
+
 				var afterHookParams = {
-					objs: result.ops,
+					objs: insertedDocs,
 					options: options,
+					context: context,
 					meta: meta
 				};
 
-				self.trigger('afterInsertMany', [afterHookParams], function(err) {
+				trigger('afterInsertMany', [afterHookParams], function(err) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
 
-					callback(null, isReturnDocsOnly ? result.ops : result);
+					callback(null, isReturnDocsOnly ? insertedDocs : result);
 				});
 			};
 
-			SourceCollection.prototype.insertMany.call(
-				self, docs, options, sourceInsertCallback
+			driver.call(
+				self,
+				SourceCollection.prototype.insertMany,
+				[docs, options],
+				sourceInsertCallback
 			);
 		});
 	});
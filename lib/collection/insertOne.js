@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 module.exports = function(Collection) {
 	Collection.prototype.insertOne = utils.withPromise(function(
@@ -17,14 +17,14 @@ module.exports = function(Collection) {
 		options = options || {};
 
 		if (!this._checkMethodSupport('insertOne')) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage('insertOne'),
 				driver: true
 			}));
 		}
 
 		if (Array.isArray(doc)) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: 'doc parameter must be an object',
 				driver: true
 			}));
@@ -32,49 +32,67 @@ module.exports = function(Collection) {
 
 		doc = utils.deepClone(doc);
 
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
 		var triggerErrorHook = this._getTriggerErrorHook({
 			doc: doc,
 			options: options,
+			context: context,
+			meta: meta,
 			method: 'insertOne'
-		});
+		}, trigger);
 
 		var isReturnDocsOnly = this._getExtendOption(options, 'returnDocsOnly');
 
-		var meta = {};
-
 		var beforeHookParams = {
 			obj: doc,
 			options: options,
+			context: context,
 			meta: meta
 		};
 
-		this.trigger('beforeInsertOne', [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeInsertOne', [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
 			var sourceInsertCallback = function(err, insertResult) {
 				if (err) {
 					return triggerErrorHook(err, callback);
 				}
 
+				var insertedDoc = driver.getInsertedDocs(insertResult, [doc])[0];
+
 				var afterHookParams = {
-					obj: insertResult.ops[0],
+					obj: insertedDoc,
 					options: options,
+					context: context,
 					meta: meta
 				};
 
-				self.trigger('afterInsertOne', [afterHookParams], function(err) {
+				trigger('afterInsertOne', [afterHookParams], function(err) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
 
-					callback(null, isReturnDocsOnly ? insertResult.ops[0] : insertResult);
+					callback(null, isReturnDocsOnly ? insertedDoc : insertResult);
 				});
 			};
 
-			SourceCollection.prototype.insertOne.call(
-				self, doc, options, sourceInsertCallback
+			driver.call(
+				self,
+				SourceCollection.prototype.insertOne,
+				[doc, options],
+				sourceInsertCallback
 			);
 		});
 	});
@@ -0,0 +1,182 @@
+'use strict';
+
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+// split arguments of legacy method to arguments and optional callback
+var parseArguments = function(args) {
+	args = Array.prototype.slice.call(args, 0);
+
+	var callback;
+	if (typeof args[args.length - 1] === 'function') {
+		callback = args.pop();
+	}
+
+	return {args: args, callback: callback};
+};
+
+// call hooked method, it returns promise when callback is not set
+var callMethod = function(collection, methodName, args, callback) {
+	if (callback) args.push(callback);
+	return collection[methodName].apply(collection, args);
+};
+
+// pass error to the callback or return rejected promise
+var returnError = function(message, callback) {
+	var err = driver.createError({message: message, driver: false});
+	if (callback) return callback(err);
+	return Promise.reject(err);
+};
+
+var copyOptions = function(options, omittedKeys) {
+	var result = {};
+	for (var key in options) {
+		if (omittedKeys.indexOf(key) === -1) {
+			result[key] = options[key];
+		}
+	}
+	return result;
+};
+
+// translations of legacy methods to hooked methods
+var translations = {
+	// insert(docs, [options], [callback])
+	insert: function() {
+		var parsed = parseArguments(arguments),
+			docs = parsed.args[0],
+			options = parsed.args[1] || {};
+
+		return callMethod(this, 'insertMany', [
+			Array.isArray(docs) ? docs : [docs], options
+		], parsed.callback);
+	},
+
+	// update(selector, document, [options], [callback])
+	update: function() {
+		var parsed = parseArguments(arguments),
+			selector = parsed.args[0],
+			document = parsed.args[1],
+			options = parsed.args[2] || {};
+
+		// hooked update methods don't accept `upsert` option, upsert has
+		// its own hooked method
+		var methodName;
+		if (options.upsert) {
+			if (options.multi) {
+				return returnError(
+					'Method "update" with "upsert" and "multi" options could not ' +
+					'be translated, use "upsert" method instead',
+					parsed.callback
+				);
+			}
+
+			methodName = 'findOneAndUpsert';
+		} else if (options.multi) {
+			methodName = 'updateMany';
+		} else if (utils.isModifier(document)) {
+			methodName = 'updateOne';
+		} else {
+			methodName = 'replaceOne';
+		}
+
+		return callMethod(this, methodName, [
+			selector, document, copyOptions(options, ['multi', 'upsert'])
+		], parsed.callback);
+	},
+
+	// remove([selector], [options], [callback])
+	remove: function() {
+		var parsed = parseArguments(arguments),
+			selector = parsed.args[0] || {},
+			options = parsed.args[1] || {};
+
+		return callMethod(
+			this,
+			options.single ? 'deleteOne' : 'deleteMany',
+			[selector, copyOptions(options, ['single'])],
+			parsed.callback
+		);
+	},
+
+	// save(doc, [options], [callback])
+	save: function() {
+		var parsed = parseArguments(arguments),
+			doc = parsed.args[0],
+			options = parsed.args[1] || {};
+
+		if (doc._id === undefined) {
+			return callMethod(this, 'insertOne', [doc, options], parsed.callback);
+		} else {
+			return callMethod(
+				this, 'findOneAndUpsert', [{_id: doc._id}, doc, options],
+				parsed.callback
+			);
+		}
+	},
+
+	// findAndModify(query, [sort], [doc], [options], [callback])
+	findAndModify: function() {
+		var parsed = parseArguments(arguments),
+			query = parsed.args[0],
+			sort = parsed.args[1],
+			doc = parsed.args[2],
+			legacyOptions = parsed.args[3] || {},
+			options = copyOptions(
+				legacyOptions, ['remove', 'new', 'fields', 'upsert']
+			);
+
+		if (sort) options.sort = sort;
+		if (legacyOptions.fields) options.projection = legacyOptions.fields;
+
+		if (legacyOptions.remove) {
+			return callMethod(
+				this, 'findOneAndDelete', [query, options], parsed.callback
+			);
+		}
+
+		options.returnOriginal = !legacyOptions['new'];
+
+		var methodName;
+		if (legacyOptions.upsert) {
+			methodName = 'findOneAndUpsert';
+		} else if (utils.isModifier(doc)) {
+			methodName = 'findOneAndUpdate';
+		} else {
+			methodName = 'findOneAndReplace';
+		}
+
+		return callMethod(this, methodName, [query, doc, options], parsed.callback);
+	},
+
+	// findAndRemove(query, [sort], [options], [callback])
+	findAndRemove: function() {
+		var parsed = parseArguments(arguments),
+			query = parsed.args[0],
+			sort = parsed.args[1],
+			options = copyOptions(parsed.args[2] || {}, []);
+
+		if (sort) options.sort = sort;
+
+		return callMethod(
+			this, 'findOneAndDelete', [query, options], parsed.callback
+		);
+	}
+};
+
+// legacy methods return error (or call the driver for `findAndModify`) by
+// default, with `legacyMethods: 'translate'` option of collection they call
+// corresponding hooked methods
+module.exports = function(Collection) {
+	Object.keys(translations).forEach(function(methodName) {
+		var deprecatedMethod = Collection.prototype[methodName],
+			translatedMethod = translations[methodName];
+
+		Collection.prototype[methodName] = function() {
+			if (this.s.options.legacyMethods === 'translate') {
+				return translatedMethod.apply(this, arguments);
+			} else {
+				return deprecatedMethod.apply(this, arguments);
+			}
+		};
+	});
+};
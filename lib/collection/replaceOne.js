@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 module.exports = function(Collection) {
 	Collection.prototype.replaceOne = utils.withPromise(function(
@@ -17,7 +17,7 @@ module.exports = function(Collection) {
 		options = options || {};
 
 		if (!this._checkMethodSupport('replaceOne')) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage('replaceOne'),
 				driver: true
 			}));
@@ -25,37 +25,51 @@ module.exports = function(Collection) {
 
 		// check upsert option
 		if ('upsert' in options) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: 'Cannot upsert using "replaceOne", use "upsert" method instead',
 				driver: false
 			}));
 		}
 
+		// hooks could extend condition, so caller's filter is not changed
+		filter = utils.deepClone(filter || {});
 		update = utils.deepClone(update);
 
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
 		var triggerErrorHook = this._getTriggerErrorHook({
 			condition: filter,
 			replacement: update,
 			options: options,
+			context: context,
+			meta: meta,
 			method: 'replaceOne'
-		});
+		}, trigger);
 
 		var isReturnResultOnly = this._getExtendOption(options, 'returnResultOnly');
 
-		var meta = {};
-
 		var beforeHookParams = {
 			condition: filter,
 			replacement: update,
 			options: options,
+			context: context,
 			meta: meta
 		};
 
-		this.trigger('beforeReplaceOne', [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger('beforeReplaceOne', [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
 			var sourceReplaceCallback = function(err, replaceResult) {
 				if (err) {
 					return triggerErrorHook(err, callback);
@@ -71,11 +85,12 @@ module.exports = function(Collection) {
 					condition: filter,
 					replacement: update,
 					options: options,
+					context: context,
 					meta: meta,
 					result: nativeResult
 				};
 
-				self.trigger('afterReplaceOne', [afterHookParams], function(err) {
+				trigger('afterReplaceOne', [afterHookParams], function(err) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
@@ -84,8 +99,11 @@ module.exports = function(Collection) {
 				});
 			};
 
-			SourceCollection.prototype.replaceOne.call(
-				self, filter, update, options, sourceReplaceCallback
+			driver.call(
+				self,
+				SourceCollection.prototype.replaceOne,
+				[filter, update, options],
+				sourceReplaceCallback
 			);
 		});
 	});
@@ -0,0 +1,107 @@
+'use strict';
+
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+// after hooks of write operations, which params are deferred till the end of
+// transaction (operations of `bulkWrite` trigger own after hooks)
+var deferredActions = [
+	'afterInsertOne', 'afterInsertMany',
+	'afterUpdateOne', 'afterUpdateMany',
+	'afterDeleteOne', 'afterDeleteMany',
+	'afterReplaceOne', 'afterUpsertOne'
+];
+
+// trigger `action` hook of every collection with deferred operations of
+// that collection
+var triggerTransactionHooks = function(session, action, operations, callback) {
+	var collections = [],
+		collectionsOperations = [];
+
+	operations.forEach(function(operation) {
+		var index = collections.indexOf(operation.collection);
+		if (index === -1) {
+			index = collections.push(operation.collection) - 1;
+			collectionsOperations.push([]);
+		}
+
+		collectionsOperations[index].push({
+			action: operation.action,
+			params: operation.params
+		});
+	});
+
+	utils.eachSeries(collections, function(collection, index, callback) {
+		collection.trigger(action, [{
+			session: session,
+			operations: collectionsOperations[index]
+		}], callback);
+	}, callback);
+};
+
+// return patched commit or abort method of session, which triggers `action`
+// hooks after the end of transaction
+var getEndTransaction = function(session, state, sourceMethod, action) {
+	return utils.withPromise(function() {
+		var args = Array.prototype.slice.call(arguments, 0),
+			callback = args.pop();
+
+		driver.call(session, sourceMethod, args, function(err, result) {
+			// failed commit could be retried, transaction is aborted anyway
+			if (err && action === 'afterCommit') {
+				return callback(err);
+			}
+
+			var operations = state.operations;
+			state.operations = [];
+
+			triggerTransactionHooks(session, action, operations, function(hookErr) {
+				callback(err || hookErr, result);
+			});
+		});
+	});
+};
+
+// patch session methods on first deferred operation and return state of
+// session transaction
+var getTransactionState = function(session) {
+	if (!session._extTransactionState) {
+		var state = {operations: []};
+
+		var sourceStartTransaction = session.startTransaction;
+		session.startTransaction = function() {
+			state.operations = [];
+			return sourceStartTransaction.apply(session, arguments);
+		};
+
+		session.commitTransaction = getEndTransaction(
+			session, state, session.commitTransaction, 'afterCommit'
+		);
+		session.abortTransaction = getEndTransaction(
+			session, state, session.abortTransaction, 'afterAbort'
+		);
+
+		session._extTransactionState = state;
+	}
+
+	return session._extTransactionState;
+};
+
+module.exports = function(Collection) {
+	// defer params of after hook of the operation made inside transaction,
+	// `afterCommit` or `afterAbort` hook is triggered with them after the end
+	// of transaction
+	Collection.prototype._deferTransactionHook = function(
+		session, action, params
+	) {
+		if (deferredActions.indexOf(action) === -1 || !session.inTransaction()) {
+			return;
+		}
+
+		getTransactionState(session).operations.push({
+			collection: this,
+			action: action,
+			params: params
+		});
+	};
+};
@@ -1,8 +1,8 @@
 'use strict';
 
 var SourceCollection = require('mongodb').Collection;
-var MongoError = require('mongodb').MongoError;
 var utils = require('../utils');
+var driver = require('../driver').driver;
 
 var getUpdateWithHooks = function(updateType) {
 	var methodName = 'update' + utils.capitalize(updateType),
@@ -19,7 +19,7 @@ var getUpdateWithHooks = function(updateType) {
 		options = options || {};
 
 		if (!this._checkMethodSupport(methodName)) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: this._getUnsupportedErrorMessage(methodName),
 				driver: true
 			}));
@@ -27,38 +27,70 @@ var getUpdateWithHooks = function(updateType) {
 
 		// check upsert. Upsert we like not!
 		if ('upsert' in options) {
-			return callback(MongoError.create({
+			return callback(driver.createError({
 				message: 'Cannot upsert using "' + methodName +
 					'", use "upsert" method instead',
 				driver: false
 			}));
 		}
 
+		// hooks could extend condition, so caller's filter is not changed
+		filter = utils.deepClone(filter || {});
 		update = utils.deepClone(update);
 
+		var context = this._getExtendOption(options, 'context'),
+			trigger = this._getTrigger(options);
+
+		var meta = {};
+
 		var triggerErrorHook = this._getTriggerErrorHook({
 			condition: filter,
 			modifier: update,
 			options: options,
+			context: context,
+			meta: meta,
 			method: methodName
-		});
+		}, trigger);
 
 		var isReturnResultOnly = this._getExtendOption(options, 'returnResultOnly');
 
-		var meta = {};
+		// documents are captured only for multi document updates
+		var captureDocs = this._getExtendOption(options, 'captureDocs');
+		if (updateType !== 'many') {
+			captureDocs = null;
+		}
+
+		if (!this._checkCaptureDocsOption(captureDocs)) {
+			return callback(driver.createError({
+				message: this._getCaptureDocsErrorMessage(),
+				driver: true
+			}));
+		}
+
+		// documents are captured within transaction of the operation
+		var captureDocsOptions = {session: options.session};
 
 		var beforeHookParams = {
 			condition: filter,
 			modifier: update,
 			options: options,
+			context: context,
 			meta: meta
 		};
 
-		this.trigger(beforeHookName, [beforeHookParams], function(err) {
+		var beforeHookControls = this._addBeforeHookControls(beforeHookParams);
+
+		trigger(beforeHookName, [beforeHookParams], function(err) {
 			if (err) {
 				return triggerErrorHook(err, callback);
 			}
 
+			if (self._applyBeforeHookControls(beforeHookControls, callback)) {
+				return;
+			}
+
+			var originalObjs;
+
 			var sourceUpdateCallback = function(err, updateResult) {
 				if (err) {
 					return triggerErrorHook(err, callback);
@@ -74,24 +106,70 @@ var getUpdateWithHooks = function(updateType) {
 					condition: filter,
 					modifier: update,
 					options: options,
+					context: context,
 					meta: meta,
 					result: nativeResult
 				};
 
-				self.trigger(afterHookName, [afterHookParams], function(err) {
+				var triggerAfterHook = function() {
+					trigger(afterHookName, [afterHookParams], function(err) {
+						if (err) {
+							return triggerErrorHook(err, callback);
+						}
+
+						callback(
+							null, isReturnResultOnly ? nativeResult : updateResult
+						);
+					});
+				};
+
+				if (captureDocs === 'before' || captureDocs === 'both') {
+					afterHookParams.originalObjs = originalObjs;
+				}
+
+				if (captureDocs === 'after' || captureDocs === 'both') {
+					// condition could not match updated documents, so load them by ids
+					var ids = originalObjs.map(function(obj) {
+						return obj._id;
+					});
+
+					self._captureDocs(
+						{_id: {$in: ids}}, captureDocsOptions,
+						function(err, objs) {
+							if (err) {
+								return triggerErrorHook(err, callback);
+							}
+
+							afterHookParams.objs = objs;
+							triggerAfterHook();
+						}
+					);
+				} else {
+					triggerAfterHook();
+				}
+			};
+
+			var sourceUpdate = function() {
+				driver.call(
+					self,
+					SourceCollection.prototype[methodName],
+					[filter, update, options],
+					sourceUpdateCallback
+				);
+			};
+
+			if (captureDocs) {
+				self._captureDocs(filter, captureDocsOptions, function(err, objs) {
 					if (err) {
 						return triggerErrorHook(err, callback);
 					}
 
-					callback(
-						null, isReturnResultOnly ? nativeResult : updateResult
-					);
+					originalObjs = objs;
+					sourceUpdate();
 				});
-			};
-
-			SourceCollection.prototype[methodName].call(
-				self, filter, update, options, sourceUpdateCallback
-			);
+			} else {
+				sourceUpdate();
+			}
 		});
 	});
 };
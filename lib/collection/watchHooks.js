@@ -0,0 +1,179 @@
+'use strict';
+
+var SourceCollection = require('mongodb').Collection;
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+// hook actions of change stream operation types, other changes (e.g.
+// `drop` or `invalidate`) don't trigger hooks
+var changeActions = {
+	insert: 'changeInsert',
+	update: 'changeUpdate',
+	replace: 'changeUpdate',
+	delete: 'changeDelete'
+};
+
+var getChangeHookParams = function(change) {
+	var params = {
+		condition: change.documentKey,
+		change: change
+	};
+
+	if (change.fullDocument) {
+		params.obj = change.fullDocument;
+	}
+
+	if (change.updateDescription) {
+		params.updateDescription = change.updateDescription;
+	}
+
+	return params;
+};
+
+/**
+ * Watcher of collection change stream, which triggers hooks of changes and
+ * saves resume token after hooks of every change.
+ */
+var HookWatcher = function(params) {
+	this.collection = params.collection;
+	this.changeStream = params.changeStream;
+	this.tokenCollection = params.tokenCollection;
+	this.name = params.name;
+	this.onError = params.onError;
+
+	this.isClosed = false;
+};
+
+HookWatcher.prototype._saveResumeToken = function(token, callback) {
+	if (!this.tokenCollection) return callback();
+
+	// `updateOne` doesn't accept `upsert` option, so hooked upsert is used
+	this.tokenCollection.findOneAndUpsert({
+		name: this.name
+	}, {
+		$set: {token: token, updateDate: new Date()}
+	}, function(err) {
+		callback(err);
+	});
+};
+
+HookWatcher.prototype._processChange = function(change, callback) {
+	var self = this,
+		action = changeActions[change.operationType];
+
+	var saveResumeToken = function(err) {
+		if (err) return callback(err);
+
+		self._saveResumeToken(change._id, callback);
+	};
+
+	if (action) {
+		this.collection.trigger(
+			action, [getChangeHookParams(change)], saveResumeToken
+		);
+	} else {
+		saveResumeToken();
+	}
+};
+
+// process changes one by one, watcher is closed on the first error to
+// resume from the failed change after restart
+HookWatcher.prototype._watch = function() {
+	var self = this;
+
+	var handleError = function(err) {
+		if (self.isClosed) return;
+
+		self.close(function() {
+			self.onError(err);
+		});
+	};
+
+	var next = function() {
+		driver.call(self.changeStream, 'next', [], function(err, change) {
+			if (err) return handleError(err);
+			if (self.isClosed || !change) return;
+
+			self._processChange(change, function(err) {
+				if (err) return handleError(err);
+
+				next();
+			});
+		});
+	};
+
+	next();
+};
+
+HookWatcher.prototype.close = utils.withPromise(function(callback) {
+	if (this.isClosed) return callback();
+
+	this.isClosed = true;
+	driver.call(this.changeStream, 'close', [], function(err) {
+		callback(err);
+	});
+});
+
+module.exports = function(Collection) {
+
+	/**
+	 * Open change stream of collection and trigger `changeInsert`,
+	 * `changeUpdate` and `changeDelete` hooks for every write made to
+	 * the collection. Result is watcher, which could be closed.
+	 */
+	Collection.prototype.watchHooks = utils.withPromise(function(
+		options, callback
+	) {
+		var self = this;
+
+		if (typeof options === 'function') {
+			callback = options;
+			options = {};
+		}
+		options = options || {};
+
+		if (typeof SourceCollection.prototype.watch !== 'function') {
+			return callback(driver.createError({
+				message: 'Change streams are not supported by driver',
+				driver: true
+			}));
+		}
+
+		var name = options.name || this.collectionName,
+			tokenCollectionName = 'resumeTokenCollectionName' in options ?
+				options.resumeTokenCollectionName : '__resumeTokens',
+			tokenCollection = tokenCollectionName ?
+				new Collection(this.s.db, tokenCollectionName) : null;
+
+		var openChangeStream = function(err, tokenDoc) {
+			if (err) return callback(err);
+
+			var watchOptions = {
+				fullDocument: options.fullDocument || 'updateLookup'
+			};
+			if (tokenDoc) {
+				watchOptions.resumeAfter = tokenDoc.token;
+			}
+
+			var watcher = new HookWatcher({
+				collection: self,
+				changeStream: SourceCollection.prototype.watch.call(
+					self, options.pipeline || [], watchOptions
+				),
+				tokenCollection: tokenCollection,
+				name: name,
+				onError: options.onError || function() {}
+			});
+
+			watcher._watch();
+
+			callback(null, watcher);
+		};
+
+		if (tokenCollection) {
+			tokenCollection.findOne({name: name}, openChangeStream);
+		} else {
+			openChangeStream();
+		}
+	});
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+var Collection = require('./collection');
+var utils = require('./utils');
+
+/**
+ * Wrapper of driver `db`, which creates hooked collections. Plugins and
+ * hooks added to the wrapper are applied to every current and future
+ * collection. `options` are default options of collections.
+ */
+var Db = function(db, options) {
+	this.db = db;
+	this.options = options || {};
+
+	// collections created without options are reused and get plugins and
+	// hooks added later, collections with options (e.g. per call `context`)
+	// are not kept to not leak them
+	this._collectionsHash = {};
+	this._collections = [];
+	this._plugins = [];
+	this._hooks = [];
+};
+
+Db.prototype.collection = function(name, options) {
+	if (!options && this._collectionsHash[name]) {
+		return this._collectionsHash[name];
+	}
+
+	var collectionOptions = {};
+	for (var key in this.options) {
+		collectionOptions[key] = this.options[key];
+	}
+	for (key in options) {
+		collectionOptions[key] = options[key];
+	}
+
+	var collection = new Collection(this.db, name, collectionOptions);
+
+	this._plugins.forEach(function(plugin) {
+		collection.addPlugin(plugin.plugin, plugin.options);
+	});
+
+	var self = this;
+	this._hooks.forEach(function(hook) {
+		self._addCollectionHook(collection, hook, !options);
+	});
+
+	if (!options) {
+		this._collections.push(collection);
+		this._collectionsHash[name] = collection;
+	}
+
+	return collection;
+};
+
+// add plugin to every current and future collection
+Db.prototype.addPlugin = function(plugin, options) {
+	this._plugins.push({plugin: plugin, options: options});
+
+	this._collections.forEach(function(collection) {
+		collection.addPlugin(plugin, options);
+	});
+
+	return this;
+};
+
+// remove hooks of plugin with `name` from every collection
+Db.prototype.removePlugin = function(name) {
+	this._plugins = this._plugins.filter(function(plugin) {
+		var pluginName = typeof plugin.plugin === 'string' ? plugin.plugin : (
+			plugin.plugin.pluginName || plugin.plugin.name
+		);
+		return pluginName !== name;
+	});
+
+	this._collections.forEach(function(collection) {
+		collection.removePlugin(name);
+	});
+
+	return this;
+};
+
+// bind hook of collection, which adds collection name to the params, hook
+// of kept collection could be removed by `off`
+Db.prototype._addCollectionHook = function(collection, hook, isKept) {
+	var callbackStyleHook = utils.callbackifyHook(hook.hook);
+
+	var collectionHook = function(params, callback) {
+		params.collectionName = collection.collectionName;
+		callbackStyleHook(params, callback);
+	};
+
+	collection.on(hook.action, collectionHook, hook.options);
+	if (isKept) {
+		hook.collectionHooks.push({
+			collection: collection,
+			hook: collectionHook
+		});
+	}
+};
+
+/**
+ * Add `hook` to `action` of every current and future collection, hook
+ * params get `collectionName` field. Accepts the same `options` as `on`
+ * method of collection.
+ */
+Db.prototype.on = function(action, hook, options) {
+	if (Collection.hookActions.indexOf(action) === -1) {
+		throw new Error('Unknown action: `' + action + '`');
+	}
+
+	if (typeof hook !== 'function') {
+		throw new Error('`hook` is not a function');
+	}
+
+	var dbHook = {
+		action: action,
+		hook: hook,
+		options: options,
+		collectionHooks: []
+	};
+	this._hooks.push(dbHook);
+
+	var self = this;
+	this._collections.forEach(function(collection) {
+		self._addCollectionHook(collection, dbHook, true);
+	});
+
+	return this;
+};
+
+// remove `hook` added by `on` from `action`, remove all hooks of `action`
+// added by `on` if `hook` is not set
+Db.prototype.off = function(action, hook) {
+	this._hooks = this._hooks.filter(function(dbHook) {
+		var isRemoved = dbHook.action === action && (
+			!hook || dbHook.hook === hook
+		);
+
+		if (isRemoved) {
+			dbHook.collectionHooks.forEach(function(collectionHook) {
+				collectionHook.collection.off(action, collectionHook.hook);
+			});
+		}
+
+		return !isRemoved;
+	});
+
+	return this;
+};
+
+module.exports = Db;
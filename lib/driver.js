@@ -0,0 +1,130 @@
+'use strict';
+
+var mongodb = require('mongodb');
+
+var getMajorVersion = function() {
+	var version;
+	try {
+		version = require('mongodb/package.json').version;
+	} catch(err) {
+		version = null;
+	}
+
+	return version ? Number(version.split('.')[0]) : 3;
+};
+
+/**
+ * Create compatibility layer for mongodb driver of `majorVersion`, it hides
+ * differences of supported driver versions (3.x - 6.x): collection
+ * construction, callback style calls of promise only methods, options and
+ * results of operations.
+ */
+var createDriver = function(majorVersion) {
+	var driver = {
+		majorVersion: majorVersion,
+		// driver 5.x and later doesn't accept callbacks
+		isPromiseOnly: majorVersion >= 5
+	};
+
+	// init source collection part of `collection` instance and return
+	// instance, which should be used instead of `collection`: collection of
+	// driver 4.x and later is a class, which could not be called as a function
+	driver.initCollection = function(
+		collection, SourceCollection, db, collectionName, options
+	) {
+		if (majorVersion >= 4) {
+			return Reflect.construct(
+				SourceCollection,
+				[db, collectionName, options],
+				collection.constructor
+			);
+		} else {
+			SourceCollection.call(
+				collection,
+				db,
+				db.s.topology,
+				db.s.databaseName || db.s.namespace.db,
+				collectionName,
+				null,
+				options
+			);
+
+			return collection;
+		}
+	};
+
+	// call `method` (function or method name) of `object` with `args` and
+	// pass result to the `callback` regardless of driver callbacks support
+	driver.call = function(object, method, args, callback) {
+		var func = typeof method === 'function' ? method : object[method];
+
+		if (driver.isPromiseOnly) {
+			func.apply(object, args).then(function(result) {
+				// leave promise chain to not catch errors thrown by callback
+				process.nextTick(callback, null, result);
+			}, function(err) {
+				process.nextTick(callback, err);
+			});
+		} else {
+			func.apply(object, args.concat(callback));
+		}
+	};
+
+	// `MongoError.create` was removed at driver 4.x
+	driver.createError = function(options) {
+		if (majorVersion >= 4) {
+			var error = new mongodb.MongoError(options.message);
+			error.driver = options.driver;
+			return error;
+		} else {
+			return mongodb.MongoError.create(options);
+		}
+	};
+
+	// return options for `findOneAnd*` methods of source collection: driver
+	// 4.x and later supports only `returnDocument` option and driver 6.x
+	// returns document instead of result without `includeResultMetadata`
+	driver.getFindAndModifyOptions = function(options) {
+		var sourceOptions = {};
+		for (var key in options) {
+			sourceOptions[key] = options[key];
+		}
+
+		if (majorVersion >= 4 && 'returnOriginal' in sourceOptions) {
+			if (!('returnDocument' in sourceOptions)) {
+				sourceOptions.returnDocument = (
+					sourceOptions.returnOriginal === false ? 'after' : 'before'
+				);
+			}
+			delete sourceOptions.returnOriginal;
+		}
+
+		if (majorVersion >= 6) {
+			sourceOptions.includeResultMetadata = true;
+		}
+
+		return sourceOptions;
+	};
+
+	// result of insert operations contains inserted documents (`ops`) only
+	// before driver 4.x, documents passed to driver get `_id` anyway
+	driver.getInsertedDocs = function(result, docs) {
+		return result.ops || docs;
+	};
+
+	// bulk write error contains single write error instead of array of them
+	// when only one operation failed
+	driver.getWriteErrors = function(err) {
+		var writeErrors = err.writeErrors;
+		if (!writeErrors) return [];
+
+		return Array.isArray(writeErrors) ? writeErrors : [writeErrors];
+	};
+
+	return driver;
+};
+
+exports.createDriver = createDriver;
+
+// layer for the installed driver
+exports.driver = createDriver(getMajorVersion());
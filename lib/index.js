@@ -1,4 +1,11 @@
 'use strict';
 
 exports.Collection = require('./collection');
+exports.Db = require('./db');
 exports.Plugins = require('./plugins');
+exports.VersionConflictError = exports.Plugins.version.VersionConflictError;
+exports.ValidationError = exports.Plugins.validation.ValidationError;
+
+exports.createDb = function(db, options) {
+	return new exports.Db(db, options);
+};
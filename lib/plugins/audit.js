@@ -0,0 +1,278 @@
+'use strict';
+
+var crypto = require('crypto');
+var isPlainObject = require('is-plain-object');
+var utils = require('../utils');
+
+var defaultAuditCollectionName = '__audit';
+
+var redactedValue = '[REDACTED]';
+
+// before and after hooks of operations, which change data or schema
+var writeActions = [
+	'InsertOne', 'InsertMany',
+	'UpdateOne', 'UpdateMany',
+	'DeleteOne', 'DeleteMany',
+	'ReplaceOne', 'UpsertOne',
+	'BulkWrite',
+	'Drop', 'Rename', 'CreateIndex'
+];
+
+// methods which failures are recorded from the error hook
+var writeMethods = [
+	'insertOne', 'insertMany',
+	'updateOne', 'updateMany', 'findOneAndUpdate',
+	'deleteOne', 'deleteMany', 'findOneAndDelete',
+	'replaceOne', 'findOneAndReplace',
+	'findOneAndUpsert',
+	'bulkWrite',
+	'drop', 'rename', 'createIndex', 'dropIndex'
+];
+
+// hook params, which are recorded to the entry
+var recordedParams = ['condition', 'modifier', 'replacement'];
+
+// replace values of `fields` (dot notation paths) inside `value`, operators
+// are not the part of the path, so `{$set: {'a.b': 1}}` and
+// `{a: {b: {$in: [1]}}}` are redacted by `a.b` or `a` field
+var redact = function(value, fields, path) {
+	var isRedactedPath = function(keyPath) {
+		return fields.some(function(field) {
+			return keyPath === field || keyPath.indexOf(field + '.') === 0;
+		});
+	};
+
+	if (Array.isArray(value)) {
+		return value.map(function(item) {
+			return redact(item, fields, path);
+		});
+	} else if (value && isPlainObject(value)) {
+		var result = {};
+		Object.keys(value).forEach(function(key) {
+			if (key.charAt(0) === '$') {
+				result[key] = redact(value[key], fields, path);
+				return;
+			}
+
+			var keyPath = path ? path + '.' + key : key;
+			if (isRedactedPath(keyPath)) {
+				result[key] = redactedValue;
+			} else {
+				result[key] = redact(value[key], fields, keyPath);
+			}
+		});
+		return result;
+	} else {
+		return value;
+	}
+};
+
+// copy of the value as it's stored to the database: fields with `undefined`
+// value are omitted and `undefined` items of arrays are replaced by `null`,
+// so hash of the stored entry matches hash of the written one
+var normalize = function(value) {
+	if (Array.isArray(value)) {
+		return value.map(function(item) {
+			return item === undefined ? null : normalize(item);
+		});
+	} else if (value && isPlainObject(value)) {
+		var result = {};
+		Object.keys(value).forEach(function(key) {
+			if (value[key] !== undefined) {
+				result[key] = normalize(value[key]);
+			}
+		});
+		return result;
+	} else {
+		return value;
+	}
+};
+
+// hash of the entry and previous entry hash, so entries make the chain,
+// where change or removal of any entry breaks the following hashes
+var getEntryHash = function(entry) {
+	var hashedEntry = {};
+	Object.keys(entry).forEach(function(key) {
+		if (key !== '_id' && key !== 'hash') {
+			hashedEntry[key] = entry[key];
+		}
+	});
+
+	return crypto.createHash('sha256')
+		.update(JSON.stringify(hashedEntry))
+		.digest('hex');
+};
+
+// counters of operation result
+var getResultCounts = function(action, params) {
+	var counts = {};
+
+	if (action === 'afterInsertOne') {
+		counts.insertedCount = 1;
+	} else if (action === 'afterInsertMany') {
+		counts.insertedCount = params.objs.length;
+	} else if (action === 'afterUpsertOne') {
+		counts.matchedCount = params.isUpdated ? 1 : 0;
+		counts.upsertedCount = params.isUpdated ? 0 : 1;
+	} else if (params.result && typeof params.result === 'object') {
+		Object.keys(params.result).forEach(function(key) {
+			if (/Count$/.test(key) && typeof params.result[key] === 'number') {
+				counts[key] = params.result[key];
+			}
+		});
+	}
+
+	return counts;
+};
+
+// record entry per write operation (successful or failed) to the audit
+// collection or to the `sink`
+module.exports = function(collection, options) {
+	options = options || {};
+	var redactFields = options.redact || [];
+	var isHashChain = Boolean(options.hashChain);
+
+	var Collection = require('../collection'),
+		auditCollection = null,
+		writeEntry;
+
+	if (options.sink) {
+		writeEntry = utils.callbackifyHook(options.sink);
+	} else {
+		auditCollection = new Collection(
+			collection.s.db,
+			options.auditCollectionName || defaultAuditCollectionName
+		);
+		writeEntry = function(entry, callback) {
+			auditCollection.insertOne(entry, function(err) {
+				callback(err);
+			});
+		};
+	}
+
+	// every namespace has its own chain (audit collection is shared by
+	// plugin instances of different collections), hash of the last entry of
+	// namespace is loaded from the audit collection once or taken from
+	// `lastHash` option for the sink
+	var lastHash = options.lastHash || null,
+		isLastHashLoaded = Boolean(options.sink);
+
+	var loadLastHash = function(callback) {
+		if (isLastHashLoaded) return callback();
+
+		auditCollection._captureDocs(
+			{namespace: collection.namespace}, {sort: {_id: -1}, limit: 1},
+			function(err, entries) {
+				if (err) return callback(err);
+
+				lastHash = entries.length ? entries[0].hash || null : null;
+				isLastHashLoaded = true;
+				callback();
+			}
+		);
+	};
+
+	// entries are written one by one to keep order of the hash chain
+	var queue = [],
+		isWriting = false;
+
+	var writeNextEntry = function() {
+		var item = queue.shift();
+		if (!item) {
+			isWriting = false;
+			return;
+		}
+
+		var done = function(err) {
+			item.callback(err);
+			writeNextEntry();
+		};
+
+		if (!isHashChain) return writeEntry(item.entry, done);
+
+		loadLastHash(function(err) {
+			if (err) return done(err);
+
+			item.entry.prevHash = lastHash;
+			item.entry.hash = getEntryHash(item.entry);
+
+			writeEntry(item.entry, function(err) {
+				if (!err) lastHash = item.entry.hash;
+				done(err);
+			});
+		});
+	};
+
+	var record = function(entry, callback) {
+		queue.push({entry: normalize(entry), callback: callback});
+
+		if (!isWriting) {
+			isWriting = true;
+			writeNextEntry();
+		}
+	};
+
+	var createEntry = function(method, params) {
+		var startTime = params.meta && params.meta.auditStartTime;
+
+		var entry = {
+			namespace: collection.namespace,
+			method: method,
+			date: new Date(),
+			duration: startTime ? Date.now() - startTime : null,
+			context: params.context || null
+		};
+
+		recordedParams.forEach(function(key) {
+			if (params[key]) {
+				entry[key] = utils.encodeKeys(redact(params[key], redactFields, ''));
+			}
+		});
+
+		return entry;
+	};
+
+	var beforeHook = function(params) {
+		params.meta.auditStartTime = Date.now();
+	};
+
+	var getAfterHook = function(action) {
+		var method = action.charAt(5).toLowerCase() + action.slice(6);
+
+		return function(params, callback) {
+			var entry = createEntry(method, params);
+			entry.success = true;
+			entry.counts = getResultCounts(action, params);
+
+			record(entry, callback);
+		};
+	};
+
+	// start time is taken before hooks of other plugins
+	writeActions.forEach(function(action) {
+		collection.on('before' + action, beforeHook, {priority: 100});
+		collection.on('after' + action, getAfterHook('after' + action));
+	});
+	collection.on('beforeDropIndex', beforeHook, {priority: 100});
+
+	collection.on('error', function(params, callback) {
+		if (writeMethods.indexOf(params.method) === -1) return callback();
+
+		var entry = createEntry(params.method, params);
+		entry.success = false;
+		entry.error = params.error ? params.error.message : null;
+
+		record(entry, callback);
+	});
+};
+
+// check that hashes of `entries` of one namespace (ordered as they were
+// written) are valid and each entry refers hash of the previous one
+module.exports.verifyChain = function(entries) {
+	return entries.every(function(entry, index) {
+		return (
+			entry.hash === getEntryHash(entry) &&
+			(index === 0 || entry.prevHash === entries[index - 1].hash)
+		);
+	});
+};
@@ -7,7 +7,7 @@ module.exports = function(collection, options) {
 	var format = options.format || 'timestamp';
 	var dateFormatter = utils.createDateFormatter(format);
 
-	var beforeInsert = function(params, callback) {
+	var beforeInsert = function(params) {
 		var objs = params.obj || params.objs;
 		if (!Array.isArray(objs)) objs = [objs];
 
@@ -15,8 +15,6 @@ module.exports = function(collection, options) {
 		objs.forEach(function(obj) {
 			obj.createDate = createDate;
 		});
-
-		callback();
 	};
 
 	collection.on('beforeInsertOne', beforeInsert);
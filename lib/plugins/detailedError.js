@@ -3,7 +3,7 @@
 var MongoError = require('mongodb').MongoError;
 
 module.exports = function(collection) {
-	collection.on('error', function(params, callback) {
+	collection.on('error', function(params) {
 		if (params.error instanceof MongoError) {
 			params.error.operation = {};
 			var operation = {
@@ -33,7 +33,5 @@ module.exports = function(collection) {
 				'options: ' + JSON.stringify(operation.options, null, 2)
 			].join('\n');
 		}
-
-		callback();
 	});
 };
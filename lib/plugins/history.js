@@ -0,0 +1,209 @@
+'use strict';
+
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+// before hooks of operations, which change or delete documents, `many`
+// operations could affect several documents
+var writeActions = [
+	{before: 'beforeUpdateOne', after: 'afterUpdateOne'},
+	{before: 'beforeUpdateMany', after: 'afterUpdateMany', many: true},
+	{before: 'beforeUpsertOne', after: 'afterUpsertOne'},
+	{before: 'beforeReplaceOne', after: 'afterReplaceOne'},
+	{before: 'beforeDeleteOne', after: 'afterDeleteOne'},
+	{before: 'beforeDeleteMany', after: 'afterDeleteMany', many: true}
+];
+
+// store previous state of every changed or deleted document to the history
+// collection, states could be listed and restored
+module.exports = function(collection, options) {
+	options = options || {};
+	var historyCollectionName = options.historyCollectionName ||
+		collection.collectionName + '_history';
+
+	var Collection = require('../collection'),
+		historyCollection = new Collection(
+			collection.s.db, historyCollectionName
+		),
+		revisionsCollection = new Collection(
+			collection.s.db, historyCollectionName + '_revisions'
+		);
+
+	var isIndexEnsured = false;
+
+	var ensureIndex = function(callback) {
+		if (isIndexEnsured) return callback();
+
+		driver.call(historyCollection, 'createIndex', [{
+			docId: 1,
+			revision: 1
+		}, {unique: true}], function(err) {
+			if (err) return callback(err);
+
+			isIndexEnsured = true;
+			callback();
+		});
+	};
+
+	var getSessionOptions = function(params) {
+		var session = params.options && params.options.session;
+		return session ? {session: session} : {};
+	};
+
+	// documents are loaded after hooks of other plugins, which could change
+	// the condition
+	var getBeforeHook = function(writeAction) {
+		return function(params, callback) {
+			var findOptions = getSessionOptions(params);
+			if (!writeAction.many) {
+				findOptions.limit = 1;
+				if (params.options && params.options.sort) {
+					findOptions.sort = params.options.sort;
+				}
+			}
+
+			collection._captureDocs(
+				params.condition || {}, findOptions,
+				function(err, objs) {
+					if (err) return callback(err);
+
+					params.meta.historyObjs = objs;
+					callback();
+				}
+			);
+		};
+	};
+
+	// revisions are allocated by counter of the document (read of the last
+	// revision of history would give the same revision to concurrent writes)
+	var getNextRevision = function(docId, sessionOptions, callback) {
+		var upsertOptions = {returnOriginal: false};
+		if (sessionOptions.session) {
+			upsertOptions.session = sessionOptions.session;
+		}
+
+		revisionsCollection.findOneAndUpsert(
+			{_id: docId}, {$inc: {revision: 1}}, upsertOptions,
+			function(err, counter) {
+				if (err) return callback(err);
+
+				callback(null, counter.revision);
+			}
+		);
+	};
+
+	var getAfterHook = function(writeAction) {
+		return function(params, callback) {
+			var objs = params.meta.historyObjs;
+			if (!objs || !objs.length) return callback();
+
+			var sessionOptions = getSessionOptions(params),
+				date = new Date(),
+				entries = [];
+
+			ensureIndex(function(err) {
+				if (err) return callback(err);
+
+				utils.eachSeries(objs, function(obj, index, next) {
+					getNextRevision(obj._id, sessionOptions, function(err, revision) {
+						if (err) return next(err);
+
+						entries.push({
+							docId: obj._id,
+							revision: revision,
+							action: writeAction.after,
+							date: date,
+							context: params.context,
+							obj: obj
+						});
+						next();
+					});
+				}, function(err) {
+					if (err) return callback(err);
+
+					historyCollection.insertMany(
+						entries, sessionOptions,
+						function(err) {
+							callback(err);
+						}
+					);
+				});
+			});
+		};
+	};
+
+	writeActions.forEach(function(writeAction) {
+		collection.on(
+			writeAction.before, getBeforeHook(writeAction), {priority: -100}
+		);
+		collection.on(writeAction.after, getAfterHook(writeAction));
+	});
+
+	// history entries of the document ordered by revision
+	collection.getHistory = utils.withPromise(function(id, options, callback) {
+		if (typeof options === 'function') {
+			callback = options;
+			options = {};
+		}
+
+		historyCollection.find({docId: id}, null, options)
+			.sort({revision: 1})
+			.toArray(callback);
+	});
+
+	// replace document with its state of `revision` (or insert it when the
+	// document is deleted), hooks of the write are triggered as usual except
+	// hooks of `softDelete` plugin, so soft deleted document is replaced
+	collection.restoreRevision = utils.withPromise(function(
+		id, revision, options, callback
+	) {
+		if (typeof options === 'function') {
+			callback = options;
+			options = {};
+		}
+		options = options || {};
+
+		// results of the writes are forced to be document or native result
+		var getWriteOptions = function() {
+			var writeOptions = {};
+			for (var key in options) {
+				writeOptions[key] = options[key];
+			}
+			writeOptions.returnResultOnly = true;
+			writeOptions.returnDocsOnly = true;
+			writeOptions.skipPlugins = [].concat(
+				options.skipPlugins || [], 'softDelete'
+			);
+			return writeOptions;
+		};
+
+		historyCollection.findOne(
+			{docId: id, revision: revision}, null,
+			getSessionOptions({options: options}),
+			function(err, entry) {
+				if (err) return callback(err);
+
+				if (!entry) {
+					return callback(driver.createError({
+						message: 'Revision ' + revision + ' of document `' + id +
+							'` is not found',
+						driver: false
+					}));
+				}
+
+				collection.replaceOne(
+					{_id: id}, entry.obj, getWriteOptions(),
+					function(err, result) {
+						if (err) return callback(err);
+
+						if (result.matchedCount) {
+							return callback(null, entry.obj);
+						}
+
+						collection.insertOne(entry.obj, getWriteOptions(), callback);
+					}
+				);
+			}
+		);
+	});
+};
@@ -3,9 +3,15 @@
 var sequence = require('./sequence');
 
 module.exports = {
+	audit: require('./audit'),
 	createDate: require('./createDate'),
 	updateDate: require('./updateDate'),
 	sequence: sequence,
 	sequenceId: sequence,
-	detailedError: require('./detailedError')
+	detailedError: require('./detailedError'),
+	history: require('./history'),
+	outbox: require('./outbox'),
+	softDelete: require('./softDelete'),
+	version: require('./version'),
+	validation: require('./validation')
 };
@@ -0,0 +1,259 @@
+'use strict';
+
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+var defaultOutboxCollectionName = '__outbox';
+
+// after hooks of write operations, which are recorded as events
+var writeActions = [
+	'afterInsertOne', 'afterInsertMany',
+	'afterUpdateOne', 'afterUpdateMany',
+	'afterDeleteOne', 'afterDeleteMany',
+	'afterReplaceOne', 'afterUpsertOne'
+];
+
+// hook params, which are not stored to the event: options could contain
+// session, context and meta could contain anything, result is native
+// driver result
+var omittedParams = ['options', 'context', 'meta', 'result'];
+
+var getOutboxCollection = function(db, name) {
+	var Collection = require('../collection');
+	return new Collection(db, name || defaultOutboxCollectionName);
+};
+
+var defaultGetEventParams = function(action, params) {
+	var eventParams = {};
+	Object.keys(params).forEach(function(key) {
+		if (omittedParams.indexOf(key) === -1) {
+			eventParams[key] = params[key];
+		}
+	});
+	return eventParams;
+};
+
+// record event to the outbox collection after every write operation
+module.exports = function(collection, options) {
+	options = options || {};
+	var actions = options.actions || writeActions;
+	var getEventParams = options.getEventParams || defaultGetEventParams;
+
+	var outboxCollection = getOutboxCollection(
+		collection.s.db, options.outboxCollectionName
+	);
+
+	var getAfterHook = function(action) {
+		return function(params, callback) {
+			var date = new Date();
+			var event = {
+				collectionName: collection.collectionName,
+				action: action,
+				params: utils.encodeKeys(getEventParams(action, params)),
+				status: 'pending',
+				attempts: 0,
+				createDate: date,
+				nextAttemptDate: date
+			};
+
+			// event is written within transaction of the operation
+			var session = params.options && params.options.session;
+
+			outboxCollection.insertOne(
+				event, session ? {session: session} : {},
+				function(err) {
+					callback(err);
+				}
+			);
+		};
+	};
+
+	actions.forEach(function(action) {
+		if (writeActions.indexOf(action) === -1) {
+			throw new Error('Unknown outbox action: `' + action + '`');
+		}
+
+		collection.on(action, getAfterHook(action));
+	});
+};
+
+/**
+ * Poller of outbox events, which claims pending events, delivers them with
+ * `options.deliver` and marks them done. Failed deliveries are retried with
+ * exponential backoff till `maxAttempts` is reached.
+ */
+var Poller = function(db, options) {
+	options = options || {};
+
+	if (typeof options.deliver !== 'function') {
+		throw new Error('`deliver` is not a function');
+	}
+
+	this.collection = getOutboxCollection(db, options.outboxCollectionName);
+	this.deliver = utils.callbackifyHook(options.deliver);
+	this.batchSize = options.batchSize || 10;
+	this.interval = options.interval || 1000;
+	this.lockTimeout = options.lockTimeout || 60000;
+	this.maxAttempts = options.maxAttempts || 5;
+	this.backoff = 'backoff' in options ? options.backoff : 1000;
+	this.onError = options.onError || function() {};
+
+	this._isIndexEnsured = false;
+	this._isStarted = false;
+	this._timer = null;
+};
+
+Poller.prototype._ensureIndex = function(callback) {
+	if (this._isIndexEnsured) return callback();
+
+	var self = this;
+	driver.call(this.collection, 'createIndex', [{
+		status: 1,
+		nextAttemptDate: 1
+	}], function(err) {
+		if (err) return callback(err);
+
+		self._isIndexEnsured = true;
+		callback();
+	});
+};
+
+// delay before next attempt, `attempts` is number of made attempts
+Poller.prototype._getRetryDelay = function(attempts) {
+	if (typeof this.backoff === 'function') {
+		return this.backoff(attempts);
+	} else {
+		return this.backoff * Math.pow(2, attempts - 1);
+	}
+};
+
+// claim pending event or event which lock is expired (poller died while
+// delivering it)
+Poller.prototype._claimEvent = function(callback) {
+	var now = new Date();
+
+	this.collection.findOneAndUpdate({
+		$or: [
+			{status: 'pending', nextAttemptDate: {$lte: now}},
+			{status: 'processing', lockedUntil: {$lte: now}}
+		]
+	}, {
+		$set: {
+			status: 'processing',
+			lockedUntil: new Date(now.getTime() + this.lockTimeout)
+		},
+		$inc: {attempts: 1}
+	}, {
+		sort: {nextAttemptDate: 1, _id: 1},
+		returnOriginal: false
+	}, callback);
+};
+
+Poller.prototype._processEvent = function(event, callback) {
+	var self = this;
+
+	event.params = utils.decodeKeys(event.params);
+
+	this.deliver(event, function(deliverErr) {
+		var modifier;
+		if (!deliverErr) {
+			modifier = {
+				$set: {status: 'done', doneDate: new Date()},
+				$unset: {lockedUntil: ''}
+			};
+		} else if (event.attempts >= self.maxAttempts) {
+			modifier = {
+				$set: {status: 'failed', lastError: String(deliverErr.message)},
+				$unset: {lockedUntil: ''}
+			};
+		} else {
+			modifier = {
+				$set: {
+					status: 'pending',
+					nextAttemptDate: new Date(
+						Date.now() + self._getRetryDelay(event.attempts)
+					),
+					lastError: String(deliverErr.message)
+				},
+				$unset: {lockedUntil: ''}
+			};
+		}
+
+		// event is updated only while it's still claimed by this poller
+		self.collection.updateOne({
+			_id: event._id,
+			status: 'processing',
+			attempts: event.attempts
+		}, modifier, function(err) {
+			callback(err);
+		});
+	});
+};
+
+/**
+ * Claim and deliver up to `batchSize` events, result is number of
+ * processed events. Delivery errors are stored to events, not returned.
+ */
+Poller.prototype.pollOnce = utils.withPromise(function(callback) {
+	var self = this,
+		processedCount = 0;
+
+	var next = function(err) {
+		if (err) return callback(err);
+
+		if (processedCount >= self.batchSize) {
+			return callback(null, processedCount);
+		}
+
+		self._claimEvent(function(err, event) {
+			if (err) return callback(err);
+			if (!event) return callback(null, processedCount);
+
+			processedCount++;
+			self._processEvent(event, next);
+		});
+	};
+
+	this._ensureIndex(next);
+});
+
+// poll events every `interval` till `stop` is called, full batch is
+// followed by the next poll without delay
+Poller.prototype.start = function() {
+	if (this._isStarted) return this;
+
+	this._isStarted = true;
+
+	var self = this;
+	var poll = function() {
+		self.pollOnce(function(err, processedCount) {
+			if (err) self.onError(err);
+
+			if (self._isStarted) {
+				var delay = processedCount === self.batchSize ? 0 : self.interval;
+				self._timer = setTimeout(poll, delay);
+			}
+		});
+	};
+
+	poll();
+
+	return this;
+};
+
+Poller.prototype.stop = function() {
+	this._isStarted = false;
+
+	if (this._timer) {
+		clearTimeout(this._timer);
+		this._timer = null;
+	}
+
+	return this;
+};
+
+module.exports.Poller = Poller;
+
+module.exports.createPoller = function(db, options) {
+	return new Poller(db, options);
+};
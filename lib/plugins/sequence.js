@@ -1,5 +1,7 @@
 'use strict';
 
+var driver = require('../driver').driver;
+
 module.exports = function(collection, options) {
 	options = options || {};
 	var seqCollectionName = options.seqCollectionName || '__sequences';
@@ -11,14 +13,14 @@ module.exports = function(collection, options) {
 		seqCollection = new Collection(db, seqCollectionName);
 
 	var ensureSequenceCollection = function(callback) {
-		db.collections(function(err, collectionNames) {
+		driver.call(db, 'collections', [], function(err, collectionNames) {
 			if (err) return callback(err);
 
 			if (collectionNames.indexOf(seqCollectionName) === -1) {
 				// process error when index already existing
-				seqCollection.createIndex({
+				driver.call(seqCollection, 'createIndex', [{
 					name: 1
-				}, {unique: true}, callback);
+				}, {unique: true}], callback);
 			} else {
 				callback();
 			}
@@ -39,7 +41,7 @@ module.exports = function(collection, options) {
 		});
 	};
 
-	var beforeInsert = function(params, callback) {
+	var beforeInsert = function(params) {
 		var objs = params.obj || params.objs;
 		if (!Array.isArray(objs)) objs = [objs];
 
@@ -48,24 +50,37 @@ module.exports = function(collection, options) {
 			return !(key in obj);
 		});
 
-		if (!subjectObjs.length) return callback();
+		if (!subjectObjs.length) return;
 
-		ensureSequenceCollection(function(err) {
-			if (err) return callback();
+		return new Promise(function(resolve, reject) {
+			ensureSequenceCollection(function(err) {
+				if (err) return resolve();
 
-			getCurrentValueAndIncrease(subjectObjs.length, function(err, value) {
-				if (err) return callback(err);
+				getCurrentValueAndIncrease(subjectObjs.length, function(err, value) {
+					if (err) return reject(err);
 
-				// add id to each object
-				subjectObjs.forEach(function(obj) {
-					obj[key] = ++value;
-				});
+					// add id to each object
+					subjectObjs.forEach(function(obj) {
+						obj[key] = ++value;
+					});
 
-				callback();
+					resolve();
+				});
 			});
 		});
 	};
 
-	collection.on('beforeInsertOne', beforeInsert);
-	collection.on('beforeInsertMany', beforeInsert);
+	// ids should be set before hooks of other plugins, which could use them
+	collection.on('beforeInsertOne', beforeInsert, {priority: 100});
+	collection.on('beforeInsertMany', beforeInsert, {priority: 100});
+
+	// sequence named after dropped collection is removed, sequence with
+	// custom name could be shared with other collections
+	if (!options.seqName) {
+		collection.on('afterDrop', function(params, callback) {
+			seqCollection.deleteOne({name: seqName}, function(err) {
+				callback(err);
+			});
+		});
+	}
 };
@@ -0,0 +1,158 @@
+'use strict';
+
+var utils = require('../utils');
+
+// mark documents as deleted instead of removing them, deleted documents are
+// excluded from reads and updates unless `withDeleted` option is set
+module.exports = function(collection, options) {
+	options = options || {};
+	var key = options.key || 'deletedAt';
+	var format = options.format || 'timestamp';
+	var getDeletedValue = format === 'flag' ? function() {
+		return true;
+	} : utils.createDateFormatter(format);
+
+	var getDeletedModifier = function() {
+		var modifier = {$set: {}};
+		modifier.$set[key] = getDeletedValue(new Date());
+		return modifier;
+	};
+
+	// `withDeleted` is extend option, so it's not passed to the driver
+	collection._addExtendOption('withDeleted', false);
+
+	var isWithDeleted = function(params) {
+		return Boolean(params.extendOptions && params.extendOptions.withDeleted);
+	};
+
+	// condition of not deleted documents, condition which refers deletion
+	// key explicitly is not changed
+	var getNotDeletedCondition = function(condition) {
+		condition = condition || {};
+		if (key in condition) return condition;
+
+		var notDeletedCondition = {};
+		for (var conditionKey in condition) {
+			notDeletedCondition[conditionKey] = condition[conditionKey];
+		}
+		notDeletedCondition[key] = {$exists: false};
+
+		return notDeletedCondition;
+	};
+
+	// reads use changed condition from params
+	var beforeRead = function(params) {
+		if (!isWithDeleted(params)) {
+			params.condition = getNotDeletedCondition(params.condition);
+		}
+	};
+
+	collection.on('beforeFind', beforeRead);
+	collection.on('beforeFindOne', beforeRead);
+	collection.on('beforeCount', beforeRead);
+
+	// writes use condition object passed to hooks (it's a copy of the
+	// caller's filter), so it's extended in place
+	var beforeWrite = function(params) {
+		var condition = params.condition;
+		if (!isWithDeleted(params) && condition && !(key in condition)) {
+			condition[key] = {$exists: false};
+		}
+	};
+
+	collection.on('beforeUpdateOne', beforeWrite);
+	collection.on('beforeUpdateMany', beforeWrite);
+	collection.on('beforeReplaceOne', beforeWrite);
+
+	var getUpdateOptions = function(params) {
+		var updateOptions = {};
+		for (var optionKey in params.options) {
+			updateOptions[optionKey] = params.options[optionKey];
+		}
+		updateOptions.context = params.context;
+		updateOptions.withDeleted = isWithDeleted(params);
+		return updateOptions;
+	};
+
+	// deletes are cancelled and replaced by updates, which mark documents as
+	// deleted, `findOneAndDelete` returns marked document
+	var getBeforeDelete = function(updateMethod) {
+		return function(params, callback) {
+			beforeWrite(params);
+
+			if (params.method === 'findOneAndDelete') {
+				params.rewrite(
+					'findOneAndUpdate', params.condition, getDeletedModifier(),
+					getUpdateOptions(params)
+				);
+				return callback();
+			}
+
+			collection[updateMethod](
+				params.condition,
+				getDeletedModifier(),
+				getUpdateOptions(params),
+				function(err, result) {
+					if (err) return callback(err);
+
+					params.cancel({deletedCount: result.modifiedCount});
+					callback();
+				}
+			);
+		};
+	};
+
+	collection.on('beforeDeleteOne', getBeforeDelete('updateOne'));
+	collection.on('beforeDeleteMany', getBeforeDelete('updateMany'));
+
+	// delete operations of bulk write are replaced by updates, conditions of
+	// all operations are changed by update hooks
+	collection.on('beforeBulkWrite', function(params) {
+		params.operations.forEach(function(operation, index) {
+			var type = Object.keys(operation)[0];
+
+			if (type === 'deleteOne' || type === 'deleteMany') {
+				var updateType = type === 'deleteOne' ? 'updateOne' : 'updateMany',
+					updateOperation = {};
+
+				updateOperation[updateType] = {
+					filter: operation[type].filter,
+					update: getDeletedModifier()
+				};
+				params.operations[index] = updateOperation;
+			}
+		});
+	});
+
+	var getRestore = function(updateMethod) {
+		return utils.withPromise(function(condition, options, callback) {
+			if (typeof options === 'function') {
+				callback = options;
+				options = {};
+			}
+
+			var restoreOptions = {};
+			for (var optionKey in options) {
+				restoreOptions[optionKey] = options[optionKey];
+			}
+			restoreOptions.withDeleted = true;
+
+			var deletedCondition = {};
+			for (var conditionKey in condition) {
+				deletedCondition[conditionKey] = condition[conditionKey];
+			}
+			deletedCondition[key] = {$exists: true};
+
+			var modifier = {$unset: {}};
+			modifier.$unset[key] = '';
+
+			collection[updateMethod](
+				deletedCondition, modifier, restoreOptions, callback
+			);
+		});
+	};
+
+	// restore deleted documents, result is the same as of update methods
+	collection.restoreOne = getRestore('updateOne');
+	collection.restoreMany = getRestore('updateMany');
+};
@@ -8,7 +8,7 @@ module.exports = function(collection, options) {
 	var format = options.format || 'timestamp';
 	var dateFormatter = utils.createDateFormatter(format);
 
-	var beforeInsert = function(params, callback) {
+	var beforeInsert = function(params) {
 		var objs = params.obj || params.objs;
 		if (!Array.isArray(objs)) objs = [objs];
 
@@ -16,14 +16,12 @@ module.exports = function(collection, options) {
 		objs.forEach(function(obj) {
 			obj.updateDate = updateDate;
 		});
-
-		callback();
 	};
 
 	collection.on('beforeInsertOne', beforeInsert);
 	collection.on('beforeInsertMany', beforeInsert);
 
-	var beforeUpdate = function(params, callback) {
+	var beforeUpdate = function(params) {
 		var obj;
 		if (params.modifier) {
 			if (utils.isModifier(params.modifier)) {
@@ -38,8 +36,6 @@ module.exports = function(collection, options) {
 		if (obj) {
 			obj.updateDate = dateFormatter(new Date());
 		}
-
-		callback();
 	};
 
 	collection.on('beforeUpdateOne', beforeUpdate);
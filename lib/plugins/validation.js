@@ -0,0 +1,338 @@
+'use strict';
+
+var util = require('util');
+var isPlainObject = require('is-plain-object');
+var utils = require('../utils');
+
+/**
+ * Error of document or modifier, which doesn't match the schema, `errors`
+ * contains `path` (dot notation, empty for the whole document) and `message`
+ * of every violation.
+ */
+var ValidationError = function(params) {
+	Error.call(this);
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, ValidationError);
+	}
+
+	this.name = 'ValidationError';
+	this.message = 'Validation failed: ' + params.errors.map(function(error) {
+		return (error.path ? error.path + ' ' : '') + error.message;
+	}).join(', ');
+	this.errors = params.errors;
+};
+
+util.inherits(ValidationError, Error);
+
+// JSON type of the value, values of other types (e.g. dates or object ids)
+// don't match any type
+var getType = function(value) {
+	if (value === null) {
+		return 'null';
+	} else if (Array.isArray(value)) {
+		return 'array';
+	} else if (isPlainObject(value)) {
+		return 'object';
+	} else if (typeof value === 'number') {
+		return value % 1 === 0 ? 'integer' : 'number';
+	} else if (typeof value === 'string' || typeof value === 'boolean') {
+		return typeof value;
+	} else {
+		return null;
+	}
+};
+
+var isTypeMatched = function(type, value) {
+	var valueType = getType(value);
+	return [].concat(type).some(function(schemaType) {
+		return schemaType === valueType ||
+			(schemaType === 'number' && valueType === 'integer');
+	});
+};
+
+var isEqual = function(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+};
+
+var joinPath = function(path, key) {
+	return path ? path + '.' + key : String(key);
+};
+
+// validate `value` against `schema` (draft-07 subset), violations are
+// pushed to `errors`
+var validate = function(schema, value, path, errors) {
+	errors = errors || [];
+	path = path || '';
+
+	var addError = function(message) {
+		errors.push({path: path, message: message});
+	};
+
+	if (schema === undefined || schema === true) return errors;
+	if (schema === false) {
+		addError('is not allowed');
+		return errors;
+	}
+
+	if (schema.type && !isTypeMatched(schema.type, value)) {
+		addError('should be ' + [].concat(schema.type).join(' or '));
+		return errors;
+	}
+
+	if ('const' in schema && !isEqual(schema.const, value)) {
+		addError('should be equal to constant');
+	}
+
+	if (schema.enum && !schema.enum.some(function(item) {
+		return isEqual(item, value);
+	})) {
+		addError('should be equal to one of the allowed values');
+	}
+
+	var type = getType(value);
+
+	if (type === 'string') {
+		if ('minLength' in schema && value.length < schema.minLength) {
+			addError('should not be shorter than ' + schema.minLength);
+		}
+		if ('maxLength' in schema && value.length > schema.maxLength) {
+			addError('should not be longer than ' + schema.maxLength);
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			addError('should match pattern "' + schema.pattern + '"');
+		}
+	}
+
+	if (type === 'number' || type === 'integer') {
+		if ('minimum' in schema && value < schema.minimum) {
+			addError('should be >= ' + schema.minimum);
+		}
+		if ('maximum' in schema && value > schema.maximum) {
+			addError('should be <= ' + schema.maximum);
+		}
+		if ('exclusiveMinimum' in schema && value <= schema.exclusiveMinimum) {
+			addError('should be > ' + schema.exclusiveMinimum);
+		}
+		if ('exclusiveMaximum' in schema && value >= schema.exclusiveMaximum) {
+			addError('should be < ' + schema.exclusiveMaximum);
+		}
+	}
+
+	if (type === 'object') {
+		(schema.required || []).forEach(function(key) {
+			if (!(key in value)) {
+				errors.push({path: joinPath(path, key), message: 'is required'});
+			}
+		});
+
+		Object.keys(value).forEach(function(key) {
+			validate(
+				getPropertySchema(schema, key), value[key], joinPath(path, key),
+				errors
+			);
+		});
+	}
+
+	if (type === 'array') {
+		if ('minItems' in schema && value.length < schema.minItems) {
+			addError('should not have fewer than ' + schema.minItems + ' items');
+		}
+		if ('maxItems' in schema && value.length > schema.maxItems) {
+			addError('should not have more than ' + schema.maxItems + ' items');
+		}
+
+		value.forEach(function(item, index) {
+			validate(
+				getItemSchema(schema, index), item, joinPath(path, index), errors
+			);
+		});
+	}
+
+	if (schema.allOf) {
+		schema.allOf.forEach(function(subSchema) {
+			validate(subSchema, value, path, errors);
+		});
+	}
+
+	var getMatchedCount = function(schemas) {
+		return schemas.filter(function(subSchema) {
+			return !validate(subSchema, value, path).length;
+		}).length;
+	};
+
+	if (schema.anyOf && !getMatchedCount(schema.anyOf)) {
+		addError('should match some schema in anyOf');
+	}
+	if (schema.oneOf && getMatchedCount(schema.oneOf) !== 1) {
+		addError('should match exactly one schema in oneOf');
+	}
+	if (schema.not && !validate(schema.not, value, path).length) {
+		addError('should not match schema in not');
+	}
+
+	return errors;
+};
+
+// schema of object property, `undefined` allows any value
+var getPropertySchema = function(schema, key) {
+	if (schema.properties && key in schema.properties) {
+		return schema.properties[key];
+	} else {
+		return schema.additionalProperties;
+	}
+};
+
+// schema of array item, `undefined` allows any value
+var getItemSchema = function(schema, index) {
+	if (Array.isArray(schema.items)) {
+		return index < schema.items.length ?
+			schema.items[index] : schema.additionalItems;
+	} else {
+		return schema.items;
+	}
+};
+
+// schema of the field at `path` (dot notation, positional operators
+// refer array items), `parent` is schema of the object which contains
+// the field, `undefined` schema allows any value
+var resolvePath = function(schema, path) {
+	var parent = null;
+
+	path.split('.').forEach(function(key) {
+		parent = schema;
+
+		if (schema === undefined || typeof schema === 'boolean') {
+			return;
+		} else if (
+			schema.items !== undefined &&
+			(/^\d+$/.test(key) || key.charAt(0) === '$')
+		) {
+			schema = getItemSchema(schema, /^\d+$/.test(key) ? Number(key) : 0);
+		} else {
+			schema = getPropertySchema(schema, key);
+		}
+	});
+
+	return {schema: schema, parent: parent};
+};
+
+// validate paths of `$set`, `$unset`, `$push` and `$inc` operators
+var validateModifier = function(schema, modifier) {
+	var errors = [];
+
+	Object.keys(modifier.$set || {}).forEach(function(path) {
+		validate(
+			resolvePath(schema, path).schema, modifier.$set[path], path, errors
+		);
+	});
+
+	Object.keys(modifier.$unset || {}).forEach(function(path) {
+		var resolved = resolvePath(schema, path),
+			key = path.split('.').pop(),
+			required = resolved.parent && resolved.parent.required;
+
+		if (required && required.indexOf(key) !== -1) {
+			errors.push({path: path, message: 'is required'});
+		}
+	});
+
+	Object.keys(modifier.$push || {}).forEach(function(path) {
+		var arraySchema = resolvePath(schema, path).schema,
+			value = modifier.$push[path],
+			items = value && isPlainObject(value) && value.$each ?
+				value.$each : [value];
+
+		if (arraySchema === undefined || arraySchema === true) return;
+
+		if (arraySchema === false) {
+			errors.push({path: path, message: 'is not allowed'});
+			return;
+		}
+
+		if (arraySchema.type && !isTypeMatched(arraySchema.type, [])) {
+			errors.push({path: path, message: 'is not array'});
+			return;
+		}
+
+		items.forEach(function(item) {
+			validate(getItemSchema(arraySchema, 0), item, path, errors);
+		});
+	});
+
+	Object.keys(modifier.$inc || {}).forEach(function(path) {
+		var fieldSchema = resolvePath(schema, path).schema;
+
+		if (fieldSchema === false) {
+			errors.push({path: path, message: 'is not allowed'});
+		} else if (
+			fieldSchema && fieldSchema.type &&
+			!isTypeMatched(fieldSchema.type, modifier.$inc[path])
+		) {
+			errors.push({
+				path: path,
+				message: 'should be ' + [].concat(fieldSchema.type).join(' or ')
+			});
+		}
+	});
+
+	return errors;
+};
+
+// validate inserted and replaced documents and modifiers of updates against
+// JSON schema (`options.schema`), `ValidationError` is thrown on violations
+module.exports = function(collection, options) {
+	options = options || {};
+	var schema = options.schema;
+
+	if (!schema || typeof schema !== 'object') {
+		throw new Error('`schema` option should be an object');
+	}
+
+	var check = function(errors) {
+		if (errors.length) {
+			throw new ValidationError({errors: errors});
+		}
+	};
+
+	// documents are validated after hooks of other plugins, which could
+	// add fields to them
+	var hookOptions = {priority: -100};
+
+	collection.on('beforeInsertOne', function(params) {
+		check(validate(schema, params.obj));
+	}, hookOptions);
+
+	collection.on('beforeInsertMany', function(params) {
+		var errors = [];
+		params.objs.forEach(function(obj, index) {
+			validate(schema, obj, String(index), errors);
+		});
+		check(errors);
+	}, hookOptions);
+
+	collection.on('beforeReplaceOne', function(params) {
+		check(validate(schema, params.replacement));
+	}, hookOptions);
+
+	var beforeUpdate = function(params) {
+		var modifier = params.modifier;
+
+		if (!modifier) return;
+
+		check(
+			utils.isModifier(modifier) ?
+				validateModifier(schema, modifier) :
+				validate(schema, modifier)
+		);
+	};
+
+	collection.on('beforeUpdateOne', beforeUpdate, hookOptions);
+	collection.on('beforeUpdateMany', beforeUpdate, hookOptions);
+	collection.on('beforeUpsertOne', beforeUpdate, hookOptions);
+};
+
+module.exports.ValidationError = ValidationError;
+module.exports.validate = function(schema, value) {
+	return validate(schema, value);
+};
+module.exports.validateModifier = validateModifier;
@@ -0,0 +1,178 @@
+'use strict';
+
+var util = require('util');
+var utils = require('../utils');
+var driver = require('../driver').driver;
+
+/**
+ * Error of update or replace with expected version, which didn't match any
+ * document (document was changed by another operation or removed).
+ */
+var VersionConflictError = function(params) {
+	Error.call(this);
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, VersionConflictError);
+	}
+
+	this.name = 'VersionConflictError';
+	this.message = 'Document with version ' + params.expectedVersion +
+		' is not found';
+	this.expectedVersion = params.expectedVersion;
+	this.condition = params.condition;
+};
+
+util.inherits(VersionConflictError, Error);
+
+// stamp version on insert and increment it on every update, expected version
+// could be passed with `version` option of update and replace methods
+module.exports = function(collection, options) {
+	options = options || {};
+	var key = options.key || '__v';
+
+	var beforeInsert = function(params) {
+		var objs = params.obj || params.objs;
+		if (!Array.isArray(objs)) objs = [objs];
+
+		objs.forEach(function(obj) {
+			obj[key] = 0;
+		});
+	};
+
+	collection.on('beforeInsertOne', beforeInsert);
+	collection.on('beforeInsertMany', beforeInsert);
+
+	// `version` is extend option, so it's not passed to the driver
+	collection._addExtendOption('version', null);
+
+	// expected version is saved to meta, which is shared with after hooks,
+	// and added to condition in place because write methods use condition
+	// object passed to hooks (it's a copy of the caller's filter)
+	var getExpectedVersion = function(params) {
+		var expectedVersion = params.extendOptions &&
+			params.extendOptions.version;
+
+		return expectedVersion === null ? undefined : expectedVersion;
+	};
+
+	var applyExpectedVersion = function(params) {
+		var expectedVersion = getExpectedVersion(params);
+
+		if (expectedVersion !== undefined) {
+			params.meta.expectedVersion = expectedVersion;
+			params.condition[key] = expectedVersion;
+		}
+
+		return params.meta.expectedVersion;
+	};
+
+	var incrementVersion = function(params) {
+		var modifier = params.modifier;
+		if (modifier && utils.isModifier(modifier)) {
+			modifier.$inc = modifier.$inc || {};
+			modifier.$inc[key] = 1;
+		}
+	};
+
+	var beforeUpdate = function(params) {
+		applyExpectedVersion(params);
+		incrementVersion(params);
+	};
+
+	collection.on('beforeUpdateOne', beforeUpdate);
+	collection.on('beforeUpdateMany', beforeUpdate);
+
+	// version of the document matched by condition of the operation, `null`
+	// when there is no such document
+	var getCurrentVersion = function(params, callback) {
+		var projection = {};
+		projection[key] = 1;
+
+		var findOptions = {skipHooks: true},
+			session = params.options && params.options.session;
+		if (session) findOptions.session = session;
+
+		collection.findOne(
+			params.condition, projection, findOptions,
+			function(err, doc) {
+				if (err) return callback(err);
+
+				callback(null, doc ? doc[key] || 0 : null);
+			}
+		);
+	};
+
+	var getNextVersion = function(version) {
+		return version === null ? 0 : version + 1;
+	};
+
+	// options of bulk write are shared by all its operations, so expected
+	// version could not be set per operation
+	collection.on('beforeBulkWrite', function(params) {
+		if (getExpectedVersion(params) !== undefined) {
+			throw driver.createError({
+				message: '`version` option is not supported by "bulkWrite" method',
+				driver: true
+			});
+		}
+	});
+
+	// replacement could not increment version, so it's set to the next value
+	// of expected or current version
+	collection.on('beforeReplaceOne', function(params, callback) {
+		var expectedVersion = applyExpectedVersion(params);
+
+		if (expectedVersion !== undefined) {
+			params.replacement[key] = expectedVersion + 1;
+			return callback();
+		}
+
+		getCurrentVersion(params, function(err, version) {
+			if (err) return callback(err);
+
+			params.replacement[key] = getNextVersion(version);
+			callback();
+		});
+	});
+
+	// upsert of replacement is handled like replace, inserted document gets
+	// the same version as on insert (`$inc` of missing field would set it to
+	// `1`), so current version is checked first. Document inserted
+	// concurrently after the check keeps its version.
+	collection.on('beforeUpsertOne', function(params, callback) {
+		getCurrentVersion(params, function(err, version) {
+			if (err) return callback(err);
+
+			var modifier = params.modifier;
+			if (!utils.isModifier(modifier)) {
+				modifier[key] = getNextVersion(version);
+			} else if (version === null) {
+				modifier.$setOnInsert = modifier.$setOnInsert || {};
+				modifier.$setOnInsert[key] = 0;
+			} else {
+				incrementVersion(params);
+			}
+
+			callback();
+		});
+	});
+
+	var afterUpdate = function(params) {
+		var expectedVersion = params.meta.expectedVersion;
+
+		if (
+			expectedVersion !== undefined &&
+			params.result && params.result.matchedCount === 0
+		) {
+			throw new VersionConflictError({
+				expectedVersion: expectedVersion,
+				condition: params.condition
+			});
+		}
+	};
+
+	collection.on('afterUpdateOne', afterUpdate);
+	collection.on('afterUpdateMany', afterUpdate);
+	collection.on('afterReplaceOne', afterUpdate);
+};
+
+module.exports.VersionConflictError = VersionConflictError;
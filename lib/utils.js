@@ -7,6 +7,11 @@ exports.isModifier = function(modifier) {
 	return keys.length && (/^\$/).test(keys[0]);
 };
 
+// detect whether findOneAnd* methods return document before modification
+exports.isReturnOriginal = function(options) {
+	return options.returnOriginal !== false && options.returnDocument !== 'after';
+};
+
 exports.indexBy = function(items, key) {
 	var hash = {};
 	items.forEach(function(item) {
@@ -115,6 +120,39 @@ exports.deepClone = function(obj) {
 	}
 };
 
+/**
+ * Convert hook which returns promise (or returns nothing) to callback style
+ * hook. Hook is considered as callback style one when it declares more
+ * params than hook arguments passed to it, such hooks are called as is.
+ */
+exports.callbackifyHook = function(hook) {
+	return function() {
+		var args = Array.prototype.slice.call(arguments, 0),
+			callback = args.pop();
+
+		if (hook.length > args.length) {
+			return hook.apply(this, args.concat(callback));
+		}
+
+		var result;
+		try {
+			result = hook.apply(this, args);
+		} catch(err) {
+			return callback(err);
+		}
+
+		if (result && typeof result.then === 'function') {
+			result.then(function() {
+				callback();
+			}, function(err) {
+				callback(err || new Error('Hook promise was rejected'));
+			});
+		} else {
+			callback();
+		}
+	};
+};
+
 exports.withPromise = function(func) {
 	return function() {
 		var args = Array.prototype.slice.call(arguments, 0);
@@ -135,3 +173,50 @@ exports.withPromise = function(func) {
 		}
 	};
 };
+
+// map keys of plain objects inside `value` recursively
+var mapKeys = function(value, iterator) {
+	if (Array.isArray(value)) {
+		return value.map(function(item) {
+			return mapKeys(item, iterator);
+		});
+	} else if (value && isPlainObject(value)) {
+		var result = {};
+		Object.keys(value).forEach(function(key) {
+			result[iterator(key)] = mapKeys(value[key], iterator);
+		});
+		return result;
+	} else {
+		return value;
+	}
+};
+
+// conditions and modifiers contain keys with `$` and `.`, which could not
+// be stored, so they are replaced with full width unicode equivalents
+exports.encodeKeys = function(value) {
+	return mapKeys(value, function(key) {
+		return key.replace(/^\$/, '\uff04').replace(/\./g, '\uff0e');
+	});
+};
+
+exports.decodeKeys = function(value) {
+	return mapKeys(value, function(key) {
+		return key.replace(/^\uff04/, '$').replace(/\uff0e/g, '.');
+	});
+};
+
+// call async `iterator` for each item one by one, stop on first error
+exports.eachSeries = function(items, iterator, callback) {
+	var index = 0;
+
+	var next = function(err) {
+		if (err || index >= items.length) {
+			return callback(err || null);
+		}
+
+		var item = items[index];
+		iterator(item, index++, next);
+	};
+
+	next();
+};
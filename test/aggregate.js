@@ -0,0 +1,210 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+describe('Test aggregate', function() {
+
+	before(helpers.dbConnect);
+
+	describe('cursor functionality', function() {
+		var collection;
+
+		before(function() {
+			collection = helpers.getCollection();
+		});
+
+		it('without callback should return a cursor', function() {
+			var cursor = collection.aggregate([{$match: {}}]);
+			expect(cursor.toArray).a('function');
+			expect(cursor.toArray()).to.be.a(Promise);
+		});
+
+		after(helpers.cleanDb);
+	});
+
+	describe('hooks', function() {
+
+		it('should be ok without', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection();
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.aggregate([
+						{$group: {_id: null, sum: {$sum: '$a'}}}
+					], this.slot());
+				},
+				function(err, result) {
+					expect(result).eql([{_id: null, sum: 2}]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with before hook', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				pipeline = [{$group: {_id: null, sum: {$sum: '$a'}}}],
+				collection = helpers.getCollection({
+					beforeAggregate: function(params, callback) {
+						expect(params.pipeline).eql(pipeline);
+						expect(params.options).eql({});
+
+						params.pipeline.unshift({$match: {_id: entities[0]._id}});
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.aggregate(pipeline, this.slot());
+				},
+				function(err, result) {
+					expect(result).eql([{_id: null, sum: 1}]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with replaced pipeline', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection({
+					beforeAggregate: function(params, callback) {
+						params.pipeline = [
+							{$match: {_id: entities[1]._id}}
+						].concat(params.pipeline);
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.aggregate([{$project: {_id: 1}}]).toArray(this.slot());
+				},
+				function(err, result) {
+					expect(result).eql([{_id: entities[1]._id}]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with after hook', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection({
+					afterAggregate: function(params, callback) {
+						expect(params.pipeline).eql([{$sort: {_id: 1}}]);
+						expect(params.obj).ok();
+
+						params.obj = {id: params.obj._id};
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.aggregate([{$sort: {_id: 1}}], this.slot());
+				},
+				function(err, result) {
+					expect(result).eql([
+						{id: entities[0]._id},
+						{id: entities[1]._id}
+					]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with stream', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection({
+					beforeAggregate: function(params, callback) {
+						params.pipeline = [{$match: {_id: entities[1]._id}}];
+						callback();
+					},
+					afterAggregate: function(params, callback) {
+						params.obj = {id: params.obj._id};
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					var callback = this.slot(),
+						objs = [];
+
+					collection.aggregate([{$sort: {_id: 1}}]).stream()
+						.on('data', function(obj) {
+							objs.push(obj);
+						})
+						.on('error', callback)
+						.on('end', function() {
+							callback(null, objs);
+						});
+				},
+				function(err, objs) {
+					expect(objs).eql([{id: entities[1]._id}]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with error hook', function(done) {
+			var collection = helpers.getCollection({
+				beforeAggregate: helpers.beforeHookWithError,
+				error: function(params, callback) {
+					expect(params.pipeline).eql([{$match: {}}]);
+					expect(params.method).eql('aggregate');
+					expect(params.namespace).eql(helpers.getNamespace());
+					expect(params.error).ok();
+
+					params.error.hookCalled = true;
+					callback();
+				}
+			});
+
+			Steppy(
+				function() {
+					collection.aggregate([{$match: {}}], this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.message).eql(helpers.beforeHookErrorMessage);
+					expect(err.hookCalled).ok();
+
+					done();
+				}
+			);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
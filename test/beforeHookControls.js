@@ -0,0 +1,131 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+describe('Test before hooks controls', function() {
+	before(helpers.dbConnect);
+
+	it('should return substitute result with cancel', function(done) {
+		var entity = helpers.getEntity(),
+			afterHookCalled = false,
+			collection = helpers.getCollection({
+				beforeInsertOne: function(params) {
+					params.cancel({cancelled: true});
+				},
+				afterInsertOne: function() {
+					afterHookCalled = true;
+				}
+			});
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function(err, result) {
+				expect(result).eql({cancelled: true});
+				expect(afterHookCalled).equal(false);
+
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, result) {
+				expect(result).equal(null);
+
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('should return substitute result of findOne with cancel', function(done) {
+		var cached = {_id: 'cached'},
+			collection = helpers.getCollection({
+				beforeFindOne: function(params) {
+					params.cancel(cached);
+				}
+			});
+
+		Steppy(
+			function() {
+				collection.findOne({_id: 1}, this.slot());
+			},
+			function(err, result) {
+				expect(result).equal(cached);
+
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('should replace operation with rewrite', function(done) {
+		var entity = helpers.getEntity(),
+			calledHooks = [],
+			collection = helpers.getCollection({
+				beforeDeleteOne: function(params) {
+					calledHooks.push('beforeDeleteOne');
+					params.rewrite(
+						'updateOne', params.condition, {$set: {deleted: true}}
+					);
+				},
+				afterDeleteOne: function() {
+					calledHooks.push('afterDeleteOne');
+				},
+				beforeUpdateOne: function() {
+					calledHooks.push('beforeUpdateOne');
+				},
+				afterUpdateOne: function() {
+					calledHooks.push('afterUpdateOne');
+				}
+			});
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.deleteOne({_id: entity._id}, this.slot());
+			},
+			function(err, result) {
+				expect(result.modifiedCount).equal(1);
+				expect(calledHooks).eql([
+					'beforeDeleteOne', 'beforeUpdateOne', 'afterUpdateOne'
+				]);
+
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, result) {
+				entity.deleted = true;
+				expect(result).eql(entity);
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('should throw error on rewrite to unknown method', function(done) {
+		var collection = helpers.getCollection({
+			beforeDeleteOne: function(params) {
+				params.rewrite('unknownMethod');
+			}
+		});
+
+		Steppy(
+			function() {
+				collection.deleteOne({}, this.slot());
+			},
+			function(err) {
+				expect(err).ok();
+				expect(err.message).equal(
+					'Unknown method to rewrite: `unknownMethod`'
+				);
+
+				done();
+			}
+		);
+	});
+
+	after(helpers.cleanDb);
+});
@@ -0,0 +1,380 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers'),
+	Collection = require('../lib').Collection;
+
+describe('Test bulkWrite', function() {
+	var db;
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	describe('promise functionality', function() {
+		var collection;
+
+		before(function() {
+			collection = helpers.getCollection();
+		});
+
+		it('without callback should return a Promise', function() {
+			expect(collection.bulkWrite([{
+				insertOne: {document: helpers.getEntity()}
+			}])).to.be.a(Promise);
+		});
+
+		after(helpers.cleanDb);
+	});
+
+	describe('operations', function() {
+		var collection;
+
+		before(function() {
+			collection = helpers.getCollection();
+		});
+
+		it('with unknown operation should return error', function(done) {
+			Steppy(
+				function() {
+					collection.bulkWrite([{insertMany: {}}], this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.name).equal('MongoError');
+					expect(err.message).equal(
+						'Unknown bulkWrite operation "insertMany"'
+					);
+
+					done();
+				}
+			);
+		});
+
+		it('with unsupported operation should return error', function(done) {
+			var collection = new Collection(db, 'test', {
+				changeDataMethods: ['insertOne']
+			});
+
+			Steppy(
+				function() {
+					collection.bulkWrite([{
+						insertOne: {document: helpers.getEntity()}
+					}, {
+						deleteOne: {filter: {}}
+					}], this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.name).equal('MongoError');
+					expect(err.message).equal(
+						'Method "deleteOne" for collection "test" is not supported'
+					);
+
+					done();
+				}
+			);
+		});
+
+		after(helpers.cleanDb);
+	});
+
+	describe('returnResultOnly option', function() {
+		var collection;
+
+		before(function() {
+			collection = helpers.getCollection();
+		});
+
+		it('should be set true by default', function(done) {
+			Steppy(
+				function() {
+					collection.bulkWrite([{
+						insertOne: {document: helpers.getEntity()}
+					}], this.slot());
+				},
+				function(err, result) {
+					expect(result).ok();
+					expect(result).only.keys(
+						'insertedCount', 'matchedCount', 'modifiedCount',
+						'deletedCount', 'upsertedCount', 'insertedIds', 'upsertedIds'
+					);
+					expect(result.insertedCount).equal(1);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should correctly process "false" value', function(done) {
+			Steppy(
+				function() {
+					collection.bulkWrite([{
+						insertOne: {document: helpers.getEntity()}
+					}], {
+						returnResultOnly: false
+					}, this.slot());
+				},
+				function(err, result) {
+					expect(result).ok();
+					expect(result.insertedCount).equal(1);
+					expect(result.result).ok();
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		after(helpers.cleanDb);
+	});
+
+	describe('hooks', function() {
+
+		it('should be ok with operation hooks', function(done) {
+			var entity = helpers.getEntity(),
+				anotherEntity = helpers.getEntity(),
+				calledHooks = [],
+				collection = helpers.getCollection({
+					beforeInsertOne: function(params, callback) {
+						calledHooks.push('beforeInsertOne');
+						expect(params.obj).eql(entity);
+						expect(params.meta).an('object');
+
+						params.obj.b = 1;
+						params.meta.inserted = true;
+
+						callback();
+					},
+					afterInsertOne: function(params, callback) {
+						calledHooks.push('afterInsertOne');
+						expect(params.obj).eql({a: 1, _id: entity._id, b: 1});
+						expect(params.meta.inserted).ok();
+
+						callback();
+					},
+					beforeUpdateOne: function(params, callback) {
+						calledHooks.push('beforeUpdateOne');
+						expect(params.condition).eql({_id: entity._id});
+						expect(params.modifier).eql(helpers.getModifier());
+
+						params.modifier.$set = {c: 1};
+
+						callback();
+					},
+					afterUpdateOne: function(params, callback) {
+						calledHooks.push('afterUpdateOne');
+						callback();
+					},
+					beforeDeleteMany: function(params, callback) {
+						calledHooks.push('beforeDeleteMany');
+						expect(params.condition).eql({_id: anotherEntity._id});
+
+						callback();
+					},
+					afterDeleteMany: function(params, callback) {
+						calledHooks.push('afterDeleteMany');
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(anotherEntity, this.slot());
+				},
+				function() {
+					collection.bulkWrite([
+						{insertOne: {document: entity}},
+						{
+							updateOne: {
+								filter: {_id: entity._id},
+								update: helpers.getModifier()
+							}
+						},
+						{deleteMany: {filter: {_id: anotherEntity._id}}}
+					], this.slot());
+				},
+				function() {
+					collection.find().toArray(this.slot());
+				},
+				function(err, result) {
+					// server doesn't report results of update and delete
+					// operations, so their after hooks are not triggered
+					expect(calledHooks).eql([
+						'beforeInsertOne', 'beforeUpdateOne', 'beforeDeleteMany',
+						'afterInsertOne'
+					]);
+					expect(result).eql([{a: 2, _id: entity._id, b: 1, c: 1}]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with upsert operations hooks', function(done) {
+			var entity = helpers.getEntity(),
+				newEntity = helpers.getEntity(),
+				upsertHookParams = [],
+				collection = helpers.getCollection({
+					beforeUpsertOne: function(params, callback) {
+						params.meta.upsert = true;
+						callback();
+					},
+					afterUpsertOne: function(params, callback) {
+						upsertHookParams.push(params);
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.bulkWrite([
+						{
+							updateOne: {
+								filter: {_id: entity._id},
+								update: {$set: {b: 1}},
+								upsert: true
+							}
+						},
+						{
+							replaceOne: {
+								filter: {_id: newEntity._id},
+								replacement: {c: 1},
+								upsert: true
+							}
+						}
+					], this.slot());
+				},
+				function(err, result) {
+					expect(result.matchedCount).equal(1);
+					expect(result.upsertedCount).equal(1);
+
+					expect(upsertHookParams).length(2);
+					expect(upsertHookParams[0].index).equal(0);
+					expect(upsertHookParams[0].condition).eql({_id: entity._id});
+					expect(upsertHookParams[0].modifier).eql({$set: {b: 1}});
+					expect(upsertHookParams[0].isUpdated).equal(true);
+					expect(upsertHookParams[0].meta.upsert).equal(true);
+					expect(upsertHookParams[1].index).equal(1);
+					expect(upsertHookParams[1].modifier).eql({c: 1});
+					expect(upsertHookParams[1].isUpdated).equal(false);
+
+					collection.find().sort({_id: 1}).toArray(this.slot());
+				},
+				function(err, docs) {
+					expect(docs).eql([
+						{_id: entity._id, a: 1, b: 1},
+						{_id: newEntity._id, c: 1}
+					]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with bulkWrite hooks', function(done) {
+			var entity = helpers.getEntity(),
+				hookEntity = helpers.getEntity(),
+				collection = helpers.getCollection({
+					beforeBulkWrite: function(params, callback) {
+						expect(params.operations).eql([
+							{insertOne: {document: entity}}
+						]);
+						expect(params.options).eql({});
+
+						params.operations.push({
+							insertOne: {document: hookEntity}
+						});
+
+						callback();
+					},
+					afterBulkWrite: function(params, callback) {
+						expect(params.operations).length(2);
+						expect(params.options).eql({});
+						expect(params.result).an('object');
+						expect(params.result.insertedCount).equal(2);
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.bulkWrite([
+						{insertOne: {document: entity}}
+					], {}, this.slot());
+				},
+				function() {
+					collection.find().sort({_id: 1}).toArray(this.slot());
+				},
+				function(err, result) {
+					expect(result).eql([entity, hookEntity]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with error hook', function(done) {
+			var entity = helpers.getEntity(),
+				collection = helpers.getCollection({
+					beforeInsertOne: helpers.beforeHookWithError,
+					error: function(params, callback) {
+						expect(params.operations).eql([
+							{insertOne: {document: entity}}
+						]);
+						expect(params.method).eql('bulkWrite');
+						expect(params.namespace).eql(helpers.getNamespace());
+						expect(params.error).ok();
+
+						params.error.hookCalled = true;
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.bulkWrite([
+						{insertOne: {document: entity}}
+					], this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.message).eql(helpers.beforeHookErrorMessage);
+					expect(err.hookCalled).ok();
+
+					Steppy(
+						function() {
+							collection.find().toArray(this.slot());
+						},
+						function(err, result) {
+							expect(result).eql([]);
+
+							helpers.cleanDb(this.slot());
+						},
+						done
+					);
+				}
+			);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
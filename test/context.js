@@ -0,0 +1,125 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers'),
+	Collection = require('../lib').Collection;
+
+describe('Test hooks context', function() {
+	var db;
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('should be passed to before and after hooks', function(done) {
+		var entity = helpers.getEntity(),
+			context = {user: 'admin'},
+			calledHooks = [];
+
+		var collection = helpers.getCollection({
+			beforeInsertOne: function(params) {
+				calledHooks.push('beforeInsertOne');
+				expect(params.context).equal(context);
+				expect(params.options).eql({});
+			},
+			afterInsertOne: function(params) {
+				calledHooks.push('afterInsertOne');
+				expect(params.context).equal(context);
+			},
+			beforeFindOne: function(params) {
+				calledHooks.push('beforeFindOne');
+				expect(params.context).equal(context);
+			},
+			afterFindOne: function(params) {
+				calledHooks.push('afterFindOne');
+				expect(params.context).equal(context);
+			}
+		});
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, {context: context}, this.slot());
+			},
+			function() {
+				collection.findOne(
+					{_id: entity._id}, null, {context: context}, this.slot()
+				);
+			},
+			function(err, result) {
+				expect(result).eql(entity);
+				expect(calledHooks).eql([
+					'beforeInsertOne', 'afterInsertOne',
+					'beforeFindOne', 'afterFindOne'
+				]);
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('should be passed to error hook', function(done) {
+		var context = {user: 'admin'},
+			collection = helpers.getCollection({
+				beforeUpdateOne: helpers.beforeHookWithError,
+				error: function(params) {
+					expect(params.method).equal('updateOne');
+					expect(params.context).equal(context);
+
+					params.error.hookCalled = true;
+				}
+			});
+
+		Steppy(
+			function() {
+				collection.updateOne(
+					{}, helpers.getModifier(), {context: context}, this.slot()
+				);
+			},
+			function(err) {
+				expect(err).ok();
+				expect(err.message).equal(helpers.beforeHookErrorMessage);
+				expect(err.hookCalled).ok();
+
+				done();
+			}
+		);
+	});
+
+	it('should be taken from collection options by default', function(done) {
+		var context = {user: 'admin'},
+			collection = new Collection(db, 'test', {context: context}),
+			hookContexts = [];
+
+		collection.on('beforeDeleteMany', function(params) {
+			hookContexts.push(params.context);
+		});
+
+		Steppy(
+			function() {
+				collection.deleteMany({}, this.slot());
+			},
+			function() {
+				collection.deleteMany({}, {context: 'call'}, this.slot());
+			},
+			function() {
+				expect(hookContexts).eql([context, 'call']);
+
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	after(helpers.cleanDb);
+});
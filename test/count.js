@@ -0,0 +1,84 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+describe('Test count', function() {
+
+	before(helpers.dbConnect);
+
+	describe('promise functionality', function() {
+		var collection;
+
+		before(function() {
+			collection = helpers.getCollection();
+		});
+
+		it('without callback should return a Promise', function() {
+			expect(collection.count({})).to.be.a(Promise);
+		});
+
+		after(helpers.cleanDb);
+	});
+
+	describe('hooks', function() {
+
+		it('should be ok with before hook', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection({
+					beforeCount: function(params, callback) {
+						expect(params.condition).eql({});
+						expect(params.options).eql({});
+
+						params.condition._id = entities[0]._id;
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.count({}, this.slot());
+				},
+				function(err, count) {
+					expect(count).equal(1);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with error hook', function(done) {
+			var collection = helpers.getCollection({
+				beforeCount: helpers.beforeHookWithError,
+				error: function(params, callback) {
+					expect(params.method).eql('count');
+					expect(params.error).ok();
+
+					params.error.hookCalled = true;
+					callback();
+				}
+			});
+
+			Steppy(
+				function() {
+					collection.count({}, this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.message).eql(helpers.beforeHookErrorMessage);
+					expect(err.hookCalled).ok();
+
+					done();
+				}
+			);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers'),
+	mongodbext = require('../lib');
+
+describe('Test db', function() {
+	var db;
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	describe('collection', function() {
+		it('should return hooked collection', function() {
+			var extDb = mongodbext.createDb(db),
+				collection = extDb.collection('test');
+
+			expect(extDb).a(mongodbext.Db);
+			expect(collection).a(mongodbext.Collection);
+			expect(collection.collectionName).equal('test');
+		});
+
+		it('should reuse collection created without options', function() {
+			var extDb = mongodbext.createDb(db);
+
+			expect(extDb.collection('test')).equal(extDb.collection('test'));
+			expect(extDb.collection('test', {})).not.equal(
+				extDb.collection('test')
+			);
+		});
+
+		it('should not keep collection created with options', function() {
+			var extDb = mongodbext.createDb(db),
+				hook = function() {};
+
+			extDb.addPlugin('createDate');
+			extDb.on('beforeInsertOne', hook);
+
+			var collection = extDb.collection('test', {context: {user: 'admin'}});
+
+			expect(collection.listHooks('beforeInsertOne')).length(2);
+			expect(extDb._collections).length(0);
+			expect(extDb._hooks[0].collectionHooks).length(0);
+		});
+
+		it('should pass default options to collection', function(done) {
+			var extDb = mongodbext.createDb(db, {
+					changeDataMethods: ['insertMany']
+				}),
+				collection = extDb.collection('test');
+
+			Steppy(
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.message).equal(
+						'Method "insertOne" for collection "test" is not supported'
+					);
+
+					done();
+				}
+			);
+		});
+	});
+
+	describe('plugins', function() {
+		it('should be added to current and future collections', function() {
+			var extDb = mongodbext.createDb(db),
+				collection = extDb.collection('test');
+
+			extDb.addPlugin('createDate');
+
+			var anotherCollection = extDb.collection('another');
+
+			[collection, anotherCollection].forEach(function(collection) {
+				expect(collection.listHooks('beforeInsertOne')).length(1);
+				expect(collection.listHooks('beforeInsertOne')[0].tag).equal(
+					'createDate'
+				);
+			});
+		});
+
+		it('should be removed from collections', function() {
+			var extDb = mongodbext.createDb(db);
+
+			extDb.addPlugin('createDate');
+			var collection = extDb.collection('test');
+			extDb.removePlugin('createDate');
+
+			expect(collection.listHooks('beforeInsertOne')).length(0);
+			expect(
+				extDb.collection('another').listHooks('beforeInsertOne')
+			).length(0);
+		});
+	});
+
+	describe('hooks', function() {
+		it('should be called with collection name', function(done) {
+			var extDb = mongodbext.createDb(db),
+				entity = helpers.getEntity(),
+				collectionNames = [];
+
+			extDb.on('beforeInsertOne', function(params) {
+				collectionNames.push(params.collectionName);
+				params.obj.b = 1;
+			});
+
+			Steppy(
+				function() {
+					extDb.collection('test').insertOne(entity, this.slot());
+				},
+				function(err, result) {
+					expect(result).eql({a: 1, b: 1, _id: entity._id});
+					expect(collectionNames).eql(['test']);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be removed with off', function() {
+			var extDb = mongodbext.createDb(db),
+				hook = function() {},
+				collection = extDb.collection('test');
+
+			extDb.on('beforeInsertOne', hook);
+			expect(collection.listHooks('beforeInsertOne')).length(1);
+
+			extDb.off('beforeInsertOne', hook);
+			expect(collection.listHooks('beforeInsertOne')).length(0);
+			expect(
+				extDb.collection('another').listHooks('beforeInsertOne')
+			).length(0);
+		});
+
+		it('should throw error for unknown action', function() {
+			var extDb = mongodbext.createDb(db);
+
+			expect(function() {
+				extDb.on('beforeUnknown', function() {});
+			}).throwError(/^Unknown action: `beforeUnknown`$/);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
@@ -0,0 +1,202 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers'),
+	driver = require('../lib/driver').driver;
+
+describe('Test DDL hooks', function() {
+	var db;
+
+	var collectionExists = function(name, callback) {
+		driver.call(db, 'collections', [], function(err, collections) {
+			if (err) return callback(err);
+
+			callback(null, collections.some(function(collection) {
+				return collection.collectionName === name;
+			}));
+		});
+	};
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	describe('drop', function() {
+		it('should trigger before and after hooks', function(done) {
+			var calledHooks = [],
+				collection = helpers.getCollection('ddlTest', {
+					beforeDrop: function(params) {
+						expect(params.options).eql({});
+						calledHooks.push('beforeDrop');
+					},
+					afterDrop: function(params) {
+						expect(params.result).equal(true);
+						calledHooks.push('afterDrop');
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					collection.drop(this.slot());
+				},
+				function() {
+					expect(calledHooks).eql(['beforeDrop', 'afterDrop']);
+
+					collectionExists('ddlTest', this.slot());
+				},
+				function(err, exists) {
+					expect(exists).equal(false);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('should be blocked by before hook error', function(done) {
+			var collection = helpers.getCollection('ddlTest', {
+				beforeDrop: helpers.beforeHookWithError
+			});
+
+			Steppy(
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					var callback = this.slot();
+					collection.drop(function(err) {
+						expect(err).ok();
+						expect(err.message).equal(helpers.beforeHookErrorMessage);
+
+						callback();
+					});
+				},
+				function() {
+					collectionExists('ddlTest', this.slot());
+				},
+				function(err, exists) {
+					expect(exists).equal(true);
+
+					helpers.getCollection('ddlTest').drop(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	describe('rename', function() {
+		it('should trigger hooks with changed name', function(done) {
+			var afterHookParams,
+				collection = helpers.getCollection('ddlTest', {
+					beforeRename: function(params) {
+						expect(params.newName).equal('ddlRenamed');
+						params.newName = 'ddlChanged';
+					},
+					afterRename: function(params) {
+						afterHookParams = params;
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					collection.rename('ddlRenamed', this.slot());
+				},
+				function(err, renamedCollection) {
+					expect(afterHookParams.newName).equal('ddlChanged');
+					expect(afterHookParams.result).equal(renamedCollection);
+					expect(renamedCollection.collectionName).equal('ddlChanged');
+
+					collectionExists('ddlChanged', this.slot());
+				},
+				function(err, exists) {
+					expect(exists).equal(true);
+
+					helpers.getCollection('ddlChanged').drop(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	describe('createIndex and dropIndex', function() {
+		it('should trigger hooks', function(done) {
+			var calledHooks = [],
+				collection = helpers.getCollection('ddlTest', {
+					beforeCreateIndex: function(params) {
+						expect(params.fieldOrSpec).eql({a: 1});
+						expect(params.options).eql({unique: true});
+						calledHooks.push('beforeCreateIndex');
+					},
+					afterCreateIndex: function(params) {
+						expect(params.result).equal('a_1');
+						calledHooks.push('afterCreateIndex');
+					},
+					beforeDropIndex: function(params) {
+						expect(params.indexName).equal('a_1');
+						calledHooks.push('beforeDropIndex');
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.createIndex({a: 1}, {unique: true}, this.slot());
+				},
+				function(err, indexName) {
+					expect(indexName).equal('a_1');
+
+					collection.dropIndex('a_1', this.slot());
+				},
+				function() {
+					expect(calledHooks).eql([
+						'beforeCreateIndex', 'afterCreateIndex', 'beforeDropIndex'
+					]);
+
+					collection.drop(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be cancelled by before hook', function(done) {
+			var collection = helpers.getCollection('ddlTest', {
+				beforeDropIndex: function(params) {
+					params.cancel(null);
+				}
+			});
+
+			Steppy(
+				function() {
+					collection.createIndex({a: 1}, this.slot());
+				},
+				function() {
+					collection.dropIndex('a_1', this.slot());
+				},
+				function() {
+					driver.call(collection, 'indexExists', ['a_1'], this.slot());
+				},
+				function(err, exists) {
+					expect(exists).equal(true);
+
+					collection.drop(this.slot());
+				},
+				done
+			);
+		});
+	});
+});
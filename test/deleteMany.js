@@ -73,9 +73,16 @@ describe('Test deleteMany', function() {
 				},
 				function(err, result) {
 					expect(result).ok();
-					expect(result).have.keys(
-						'connection', 'result', 'deletedCount'
-					);
+					// driver 4.x and later returns less detailed result
+					if (helpers.driverMajorVersion < 4) {
+						expect(result).have.keys(
+							'connection', 'result', 'deletedCount'
+						);
+					} else {
+						expect(result).only.keys(
+							'acknowledged', 'deletedCount'
+						);
+					}
 					this.pass(null);
 				},
 				done
@@ -236,5 +243,35 @@ describe('Test deleteMany', function() {
 		});
 	});
 
+	describe('captureDocs option', function() {
+
+		it('should pass deleted documents', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				hookParams,
+				collection = helpers.getCollection({
+					afterDeleteMany: function(params, callback) {
+						hookParams = params;
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.deleteMany({}, {captureDocs: 'before'}, this.slot());
+				},
+				function() {
+					expect(hookParams.options).eql({});
+					expect(hookParams.originalObjs).eql(entities);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
 	after(helpers.cleanDb);
 });
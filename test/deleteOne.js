@@ -73,9 +73,16 @@ describe('Test deleteOne', function() {
 				},
 				function(err, result) {
 					expect(result).ok();
-					expect(result).have.keys(
-						'connection', 'result', 'deletedCount'
-					);
+					// driver 4.x and later returns less detailed result
+					if (helpers.driverMajorVersion < 4) {
+						expect(result).have.keys(
+							'connection', 'result', 'deletedCount'
+						);
+					} else {
+						expect(result).only.keys(
+							'acknowledged', 'deletedCount'
+						);
+					}
 					this.pass(null);
 				},
 				done
@@ -0,0 +1,59 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+describe('Test distinct', function() {
+
+	before(helpers.dbConnect);
+
+	describe('promise functionality', function() {
+		var collection;
+
+		before(function() {
+			collection = helpers.getCollection();
+		});
+
+		it('without callback should return a Promise', function() {
+			expect(collection.distinct('a')).to.be.a(Promise);
+		});
+
+		after(helpers.cleanDb);
+	});
+
+	describe('hooks', function() {
+
+		it('should be ok with before hook', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection({
+					beforeDistinct: function(params, callback) {
+						expect(params.key).equal('a');
+						expect(params.condition).eql({});
+						expect(params.options).eql({});
+
+						params.key = '_id';
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.distinct('a', this.slot());
+				},
+				function(err, values) {
+					expect(values.sort()).eql([entities[0]._id, entities[1]._id]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
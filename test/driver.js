@@ -0,0 +1,134 @@
+'use strict';
+
+var expect = require('expect.js'),
+	MongoError = require('mongodb').MongoError,
+	createDriver = require('../lib/driver').createDriver;
+
+describe('Test driver compatibility layer', function() {
+	[3, 4, 5, 6].forEach(function(majorVersion) {
+		describe('for driver ' + majorVersion + '.x', function() {
+			var driver = createDriver(majorVersion),
+				isPromiseOnly = majorVersion >= 5;
+
+			it('should init collection', function() {
+				// drivers 4.x and later are constructed with `Reflect`, which
+				// is absent at node.js 4
+				if (majorVersion >= 4 && typeof Reflect === 'undefined') {
+					return this.skip();
+				}
+
+				var SourceCollection = function() {
+					this.args = Array.prototype.slice.call(arguments, 0);
+				};
+				var Collection = function() {};
+				Collection.prototype = Object.create(SourceCollection.prototype);
+				Collection.prototype.constructor = Collection;
+
+				var db = {s: {topology: 'topology', databaseName: 'test'}},
+					options = {a: 1},
+					collection = new Collection();
+
+				var result = driver.initCollection(
+					collection, SourceCollection, db, 'name', options
+				);
+
+				expect(result).a(Collection);
+				if (majorVersion < 4) {
+					expect(result).equal(collection);
+					expect(result.args).eql([
+						db, 'topology', 'test', 'name', null, options
+					]);
+				} else {
+					expect(result).not.equal(collection);
+					expect(result.args).eql([db, 'name', options]);
+				}
+			});
+
+			it('should call method with callback', function(done) {
+				var object = {
+					method: function(a, b, callback) {
+						if (isPromiseOnly) {
+							expect(callback).equal(undefined);
+							return Promise.resolve(a + b);
+						} else {
+							callback(null, a + b);
+						}
+					}
+				};
+
+				driver.call(object, 'method', [1, 2], function(err, result) {
+					expect(err).not.ok();
+					expect(result).equal(3);
+					done();
+				});
+			});
+
+			it('should pass method error to callback', function(done) {
+				var object = {
+					method: function(callback) {
+						var err = new Error('method error');
+						if (isPromiseOnly) {
+							return Promise.reject(err);
+						} else {
+							callback(err);
+						}
+					}
+				};
+
+				driver.call(object, object.method, [], function(err) {
+					expect(err).ok();
+					expect(err.message).equal('method error');
+					done();
+				});
+			});
+
+			it('should create error', function() {
+				var err = driver.createError({message: 'some error', driver: true});
+
+				expect(err).a(MongoError);
+				expect(err.name).equal('MongoError');
+				expect(err.message).equal('some error');
+				expect(err.driver).equal(true);
+			});
+
+			it('should convert find and modify options', function() {
+				var options = {returnOriginal: false, upsert: true},
+					sourceOptions = driver.getFindAndModifyOptions(options);
+
+				expect(options).eql({returnOriginal: false, upsert: true});
+
+				var expectedOptions;
+				if (majorVersion < 4) {
+					expectedOptions = {returnOriginal: false, upsert: true};
+				} else {
+					expectedOptions = {returnDocument: 'after', upsert: true};
+				}
+				if (majorVersion >= 6) {
+					expectedOptions.includeResultMetadata = true;
+				}
+				expect(sourceOptions).eql(expectedOptions);
+			});
+
+			it('should get inserted documents', function() {
+				var docs = [{_id: 1}];
+				var result = majorVersion < 4 ?
+					{ops: docs, insertedCount: 1} :
+					{acknowledged: true, insertedId: 1};
+
+				expect(driver.getInsertedDocs(result, docs)).eql(docs);
+			});
+
+			it('should get write errors', function() {
+				var writeError = {index: 1, code: 11000};
+
+				expect(driver.getWriteErrors({})).eql([]);
+				expect(driver.getWriteErrors({writeErrors: writeError})).eql(
+					[writeError]
+				);
+				expect(driver.getWriteErrors({writeErrors: [writeError]})).eql(
+					[writeError]
+				);
+			});
+		});
+	});
+});
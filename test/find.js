@@ -0,0 +1,206 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+describe('Test find', function() {
+
+	before(helpers.dbConnect);
+
+	describe('hooks', function() {
+
+		it('should be ok without', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection();
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.find({}, {a: 0}).sort({_id: 1}).toArray(this.slot());
+				},
+				function(err, result) {
+					expect(result).eql([
+						{_id: entities[0]._id},
+						{_id: entities[1]._id}
+					]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with before hook', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				condition = {a: 1},
+				collection = helpers.getCollection({
+					beforeFind: function(params, callback) {
+						expect(params.condition).eql(condition);
+						expect(params.projection).eql({a: 0});
+						expect(params.options).eql({});
+
+						params.condition = {_id: entities[1]._id};
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.find(condition, {a: 0}).toArray(this.slot());
+				},
+				function(err, result) {
+					expect(result).eql([{_id: entities[1]._id}]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with after hook', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection({
+					afterFind: function(params, callback) {
+						expect(params.condition).eql({});
+						expect(params.obj).ok();
+
+						params.obj = {id: params.obj._id};
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.find().sort({_id: 1}).toArray(this.slot());
+				},
+				function(err, result) {
+					expect(result).eql([
+						{id: entities[0]._id},
+						{id: entities[1]._id}
+					]);
+
+					var stepCallback = this.slot();
+					var ids = [];
+					collection.find().sort({_id: 1}).forEach(function(obj) {
+						ids.push(obj.id);
+					}, function(err) {
+						stepCallback(err, ids);
+					});
+				},
+				function(err, ids) {
+					expect(ids).eql([entities[0]._id, entities[1]._id]);
+
+					collection.find().sort({_id: 1}).next(this.slot());
+				},
+				function(err, result) {
+					expect(result).eql({id: entities[0]._id});
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with stream', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection({
+					beforeFind: function(params, callback) {
+						params.condition = {_id: entities[1]._id};
+						callback();
+					},
+					afterFind: function(params, callback) {
+						params.obj = {id: params.obj._id};
+						callback();
+					}
+				});
+
+			var readStream = function(stream, callback) {
+				var objs = [];
+				stream.on('data', function(obj) {
+					objs.push(obj);
+				});
+				stream.on('error', callback);
+				stream.on('end', function() {
+					callback(null, objs);
+				});
+			};
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					readStream(collection.find().stream(), this.slot());
+				},
+				function(err, objs) {
+					expect(objs).eql([{id: entities[1]._id}]);
+
+					readStream(collection.find().stream({
+						transform: function(obj) {
+							return obj.id;
+						}
+					}), this.slot());
+				},
+				function(err, ids) {
+					expect(ids).eql([entities[1]._id]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with error hook and stream', function(done) {
+			var collection = helpers.getCollection({
+				beforeFind: helpers.beforeHookWithError
+			});
+
+			collection.find().stream().on('error', function(err) {
+				expect(err.message).eql(helpers.beforeHookErrorMessage);
+
+				done();
+			}).resume();
+		});
+
+		it('should be ok with error hook', function(done) {
+			var collection = helpers.getCollection({
+				beforeFind: helpers.beforeHookWithError,
+				error: function(params, callback) {
+					expect(params.condition).eql({a: 1});
+					expect(params.method).eql('find');
+					expect(params.namespace).eql(helpers.getNamespace());
+					expect(params.error).ok();
+
+					params.error.hookCalled = true;
+					callback();
+				}
+			});
+
+			Steppy(
+				function() {
+					collection.find({a: 1}).toArray(this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.message).eql(helpers.beforeHookErrorMessage);
+					expect(err.hookCalled).ok();
+
+					done();
+				}
+			);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
@@ -1,6 +1,7 @@
 'use strict';
 
 var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
 	helpers = require('./helpers');
 
 describe('Test findOne', function() {
@@ -23,5 +24,96 @@ describe('Test findOne', function() {
 		after(helpers.cleanDb);
 	});
 
+	describe('hooks', function() {
+
+		it('should be ok with before hook', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				collection = helpers.getCollection({
+					beforeFindOne: function(params, callback) {
+						expect(params.condition).eql({});
+						expect(params.projection).eql({a: 0});
+						expect(params.options).eql({});
+
+						params.condition._id = entities[1]._id;
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.findOne({}, {a: 0}, this.slot());
+				},
+				function(err, result) {
+					expect(result).eql({_id: entities[1]._id});
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with after hook', function(done) {
+			var entity = helpers.getEntity(),
+				collection = helpers.getCollection({
+					afterFindOne: function(params, callback) {
+						expect(params.condition).eql({_id: entity._id});
+						expect(params.obj).eql(entity);
+
+						params.obj.b = 1;
+
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.findOne({_id: entity._id}, this.slot());
+				},
+				function(err, result) {
+					entity.b = 1;
+					expect(result).eql(entity);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should be ok with error hook', function(done) {
+			var collection = helpers.getCollection({
+				beforeFindOne: helpers.beforeHookWithError,
+				error: function(params, callback) {
+					expect(params.condition).eql({a: 1});
+					expect(params.method).eql('findOne');
+					expect(params.namespace).eql(helpers.getNamespace());
+					expect(params.error).ok();
+
+					params.error.hookCalled = true;
+					callback();
+				}
+			});
+
+			Steppy(
+				function() {
+					collection.findOne({a: 1}, this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.message).eql(helpers.beforeHookErrorMessage);
+					expect(err.hookCalled).ok();
+
+					done();
+				}
+			);
+		});
+	});
+
 	after(helpers.cleanDb);
 });
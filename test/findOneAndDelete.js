@@ -85,6 +85,35 @@ describe('Test findOneAndDelete', function() {
 		after(helpers.cleanDb);
 	});
 
+	describe('after hook document', function() {
+
+		it('should be passed as obj', function(done) {
+			var entity = helpers.getEntity(),
+				hookObj,
+				collection = helpers.getCollection({
+					afterDeleteOne: function(params, callback) {
+						hookObj = params.obj;
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.findOneAndDelete({_id: entity._id}, this.slot());
+				},
+				function() {
+					expect(hookObj).eql(entity);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
 	helpers.getDeleteOneHooksDescribe({
 		method: 'findOneAndDelete'
 	});
@@ -92,6 +92,56 @@ describe('Test findOneAndReplace', function() {
 		after(helpers.cleanDb);
 	});
 
+	describe('after hook documents', function() {
+
+		var checkHookParams = function(options, expectedParams, done) {
+			var entity = helpers.getEntity(),
+				hookParams,
+				collection = helpers.getCollection({
+					afterReplaceOne: function(params, callback) {
+						hookParams = params;
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.findOneAndReplace(
+						{_id: entity._id}, helpers.getReplacement(), options, this.slot()
+					);
+				},
+				function() {
+					var expected = expectedParams(entity);
+					for (var key in expected) {
+						expect(hookParams[key]).eql(expected[key]);
+					}
+					expect(hookParams.result.matchedCount).equal(1);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		};
+
+		it('should pass original document by default', function(done) {
+			checkHookParams({}, function(entity) {
+				return {originalObj: entity, obj: undefined};
+			}, done);
+		});
+
+		it('should pass replaced document with returnOriginal false', function(done) {
+			checkHookParams({returnOriginal: false}, function(entity) {
+				return {
+					originalObj: undefined,
+					obj: {_id: entity._id, b: 1}
+				};
+			}, done);
+		});
+	});
+
 	helpers.getReplaceOneHooksDescribe({
 		method: 'findOneAndReplace'
 	});
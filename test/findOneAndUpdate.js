@@ -102,6 +102,55 @@ describe('findOneAndUpdate', function() {
 		after(helpers.cleanDb);
 	});
 
+	describe('after hook documents', function() {
+
+		var checkHookParams = function(options, expectedParams, done) {
+			var entity = helpers.getEntity(),
+				hookParams,
+				collection = helpers.getCollection({
+					afterUpdateOne: function(params, callback) {
+						hookParams = params;
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.findOneAndUpdate(
+						{_id: entity._id}, helpers.getModifier(), options, this.slot()
+					);
+				},
+				function() {
+					var expected = expectedParams(entity);
+					for (var key in expected) {
+						expect(hookParams[key]).eql(expected[key]);
+					}
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		};
+
+		it('should pass original document by default', function(done) {
+			checkHookParams({}, function(entity) {
+				return {originalObj: entity, obj: undefined};
+			}, done);
+		});
+
+		it('should pass updated document with returnOriginal false', function(done) {
+			checkHookParams({returnOriginal: false}, function(entity) {
+				return {
+					originalObj: undefined,
+					obj: {_id: entity._id, a: entity.a + 1}
+				};
+			}, done);
+		});
+	});
+
 	helpers.getUpdateOneHooksDescribe({
 		method: 'findOneAndUpdate'
 	});
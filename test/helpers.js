@@ -4,7 +4,8 @@ var MongoClient = require('mongodb').MongoClient,
 	Collection = require('../lib').Collection,
 	Steppy = require('twostep').Steppy,
 	expect = require('expect.js'),
-	MongoError = require('mongodb').MongoError;
+	MongoError = require('mongodb').MongoError,
+	driver = require('../lib/driver').driver;
 
 var dbName = 'mongodbext_test',
 	collectionName = 'test',
@@ -18,14 +19,14 @@ exports.dbConnect = function(callback) {
 	Steppy(
 		function() {
 			if (!dbConnected) {
-				MongoClient.connect(mongodbUrl, this.slot());
+				driver.call(MongoClient, 'connect', [mongodbUrl], this.slot());
 			} else {
 				this.pass(null);
 			}
 		},
 		function(err, dbOrClient) {
 			if (!dbConnected) {
-				// mongodb driver 2.x passes `db`, 3.x passes `client` to the
+				// mongodb driver 2.x passes `db`, 3.x and later pass `client` to the
 				// `MongoClient.connect` callback, so we need to detect what
 				// was passed
 				if (dbOrClient.collection) {
@@ -47,12 +48,25 @@ exports.dbConnect = function(callback) {
 
 exports.cleanDb = function(callback) {
 	if (db) {
-		db.collection(collectionName).remove({}, callback);
+		driver.call(
+			db.collection(collectionName), 'deleteMany', [{}], callback
+		);
 	} else {
 		callback();
 	}
 };
 
+// change streams require replica set, tests of them are skipped without it
+exports.isReplicaSet = function(callback) {
+	driver.call(db.admin(), 'command', [{isMaster: 1}], function(err, result) {
+		callback(err, Boolean(result && result.setName));
+	});
+};
+
+// major version of installed driver, tests of driver specific results
+// depend on it
+exports.driverMajorVersion = driver.majorVersion;
+
 var getNamespace = exports.getNamespace = function(name) {
 	return [dbName, name || collectionName].join('.');
 };
@@ -333,6 +347,7 @@ exports.getDeleteOneHooksDescribe = function(params) {
 					beforeDeleteOne: function(params, callback) {
 						expect(params.condition).eql(condition);
 						expect(params.options).eql({});
+						expect(params.method).equal(method);
 						collection.insertOne(hookEntity, callback);
 					}
 				});
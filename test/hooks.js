@@ -0,0 +1,221 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+describe('Test hooks management', function() {
+	before(helpers.dbConnect);
+
+	describe('off', function() {
+		it('should remove hook', function(done) {
+			var calls = 0,
+				hook = function() {
+					calls++;
+				},
+				collection = helpers.getCollection({
+					beforeInsertOne: hook
+				});
+
+			Steppy(
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					collection.off('beforeInsertOne', hook);
+					expect(collection.listHooks('beforeInsertOne')).eql([]);
+
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					expect(calls).equal(1);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should remove all action hooks without hook', function() {
+			var collection = helpers.getCollection({
+				beforeInsertOne: function() {},
+				afterInsertOne: function() {}
+			});
+
+			collection.off('beforeInsertOne');
+			expect(collection.listHooks('beforeInsertOne')).length(0);
+			expect(collection.listHooks('afterInsertOne')).length(1);
+		});
+
+		it('should throw error with unknown action', function() {
+			var collection = helpers.getCollection();
+
+			expect(function() {
+				collection.off('unknownAction');
+			}).to.throwError(/Unknown action: `unknownAction`/);
+		});
+	});
+
+	describe('once', function() {
+		it('should call hook only once', function(done) {
+			var calls = 0,
+				collection = helpers.getCollection();
+
+			collection.once('beforeInsertOne', function() {
+				calls++;
+			});
+
+			Steppy(
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					expect(calls).equal(1);
+					expect(collection.listHooks('beforeInsertOne')).eql([]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	describe('tags', function() {
+		it('should list hooks with tags', function() {
+			var hook = function() {},
+				collection = helpers.getCollection();
+
+			collection.on('beforeInsertOne', hook, {tag: 'someTag'});
+			collection.once('afterInsertOne', hook);
+
+			expect(collection.listHooks()).eql([{
+				action: 'beforeInsertOne',
+				hook: hook,
+				tag: 'someTag',
+				once: false
+			}, {
+				action: 'afterInsertOne',
+				hook: hook,
+				tag: undefined,
+				once: true
+			}]);
+		});
+
+		it('should remove hooks by tag', function() {
+			var collection = helpers.getCollection();
+
+			collection.on('beforeInsertOne', function() {}, {tag: 'someTag'});
+			collection.on('afterInsertOne', function() {}, {tag: 'someTag'});
+			collection.on('afterInsertOne', function() {});
+
+			collection.offTag('someTag');
+			expect(collection.listHooks()).length(1);
+		});
+
+		it('should mark plugin hooks with plugin name', function() {
+			var collection = helpers.getCollection();
+
+			collection.addPlugin('createDate');
+			collection.addPlugin(function customPlugin(collection) {
+				collection.on('afterInsertOne', function() {});
+			});
+
+			var tags = collection.listHooks().map(function(hook) {
+				return hook.tag;
+			});
+			expect(tags).eql(['createDate', 'customPlugin', 'createDate']);
+
+			collection.removePlugin('createDate');
+			expect(collection.listHooks()).length(1);
+		});
+	});
+
+	describe('order', function() {
+		var getHookNames = function(collection) {
+			return collection.listHooks('beforeInsertOne').map(function(hook) {
+				return hook.hook.hookName;
+			});
+		};
+
+		var createHook = function(hookName) {
+			var hook = function() {};
+			hook.hookName = hookName;
+			return hook;
+		};
+
+		it('should sort hooks by priority', function() {
+			var collection = helpers.getCollection();
+
+			collection.on('beforeInsertOne', createHook('first'));
+			collection.on('beforeInsertOne', createHook('second'), {priority: 1});
+			collection.on('beforeInsertOne', createHook('third'), {priority: -1});
+			collection.on('beforeInsertOne', createHook('fourth'));
+
+			expect(getHookNames(collection)).eql([
+				'second', 'first', 'fourth', 'third'
+			]);
+		});
+
+		it('should satisfy plugins order constraints', function() {
+			var collection = helpers.getCollection();
+
+			collection.addPlugin(function validation(collection) {
+				collection.on('beforeInsertOne', createHook('validation'));
+			});
+			collection.addPlugin(function stamp(collection, options) {
+				expect(options).eql({field: 'a'});
+				collection.on('beforeInsertOne', createHook('stamp'));
+			}, {before: 'validation', field: 'a'});
+			collection.addPlugin(function check(collection) {
+				collection.on('beforeInsertOne', createHook('check'));
+			}, {after: ['validation', 'stamp'], priority: 1});
+
+			expect(getHookNames(collection)).eql([
+				'stamp', 'validation', 'check'
+			]);
+		});
+
+		it('should throw error with cyclic constraints', function() {
+			var collection = helpers.getCollection();
+
+			collection.on('beforeInsertOne', createHook('first'), {
+				tag: 'first',
+				before: 'second'
+			});
+
+			expect(function() {
+				collection.on('beforeInsertOne', createHook('second'), {
+					tag: 'second',
+					before: 'first'
+				});
+			}).to.throwError(/Cyclic order of hooks for action `beforeInsertOne`/);
+			expect(getHookNames(collection)).eql(['first']);
+		});
+
+		it('should call sequence plugin hooks first', function(done) {
+			var entity = {a: 1},
+				collection = helpers.getCollection({
+					beforeInsertOne: function(params) {
+						expect(params.obj._id).a('number');
+					}
+				});
+
+			collection.addPlugin('sequenceId');
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
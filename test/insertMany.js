@@ -74,11 +74,18 @@ describe('Test insert many', function() {
 				function(err, result) {
 					expect(result).ok();
 					expect(result).an('object');
-					expect(result).only.keys(
-						'result', 'ops', 'insertedCount', 'insertedIds'
-					);
-					expect(result.ops).eql(entities);
-					expect(result.result).eql({ok: 1, n: 2});
+					// driver 4.x and later returns less detailed result
+					if (helpers.driverMajorVersion < 4) {
+						expect(result).only.keys(
+							'result', 'ops', 'insertedCount', 'insertedIds'
+						);
+						expect(result.ops).eql(entities);
+						expect(result.result).eql({ok: 1, n: 2});
+					} else {
+						expect(result).only.keys(
+							'acknowledged', 'insertedCount', 'insertedIds'
+						);
+					}
 					expect(result.insertedCount).equal(2);
 					this.pass(null);
 				},
@@ -210,6 +217,61 @@ describe('Test insert many', function() {
 			);
 		});
 
+		it('with unordered partial failure, should pass inserted and failed docs',
+			function(done) {
+				var existingEntity = helpers.getEntity(),
+					entities = [
+						helpers.getEntity(), {_id: existingEntity._id, a: 2},
+						helpers.getEntity()
+					],
+					afterHookParams,
+					errorHookParams,
+					collection = helpers.getCollection({
+						afterInsertMany: function(params) {
+							afterHookParams = params;
+						},
+						error: function(params) {
+							errorHookParams = params;
+						}
+					});
+
+				Steppy(
+					function() {
+						collection.insertOne(existingEntity, this.slot());
+					},
+					function() {
+						var callback = this.slot();
+						collection.insertMany(entities, {ordered: false}, function(err) {
+							expect(err).ok();
+							expect(err.code).equal(11000);
+
+							callback();
+						});
+					},
+					function() {
+						expect(afterHookParams.objs).eql([entities[0], entities[2]]);
+						expect(afterHookParams.failedObjs).length(1);
+						expect(afterHookParams.failedObjs[0].obj).eql(entities[1]);
+						expect(afterHookParams.failedObjs[0].index).equal(1);
+						expect(afterHookParams.failedObjs[0].error.code).equal(11000);
+
+						expect(errorHookParams.insertedObjs).eql(afterHookParams.objs);
+						expect(errorHookParams.failedObjs).eql(
+							afterHookParams.failedObjs
+						);
+
+						collection.find().sort({_id: 1}).toArray(this.slot());
+					},
+					function(err, docs) {
+						expect(docs).eql([existingEntity, entities[0], entities[2]]);
+
+						helpers.cleanDb(this.slot());
+					},
+					done
+				);
+			}
+		);
+
 		after(helpers.cleanDb);
 	});
 });
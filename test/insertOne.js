@@ -74,13 +74,18 @@ describe('Test insertOne', function() {
 				function(err, result) {
 					expect(result).ok();
 					expect(result).an('object');
-					expect(result).have.keys(
-						'result', 'ops', 'insertedCount', 'insertedId',
-						'connection'
-					);
-					expect(result.ops).eql([entity]);
-					expect(result.result).eql({ok: 1, n: 1});
-					expect(result.insertedCount).equal(1);
+					// driver 4.x and later returns less detailed result
+					if (helpers.driverMajorVersion < 4) {
+						expect(result).have.keys(
+							'result', 'ops', 'insertedCount', 'insertedId',
+							'connection'
+						);
+						expect(result.ops).eql([entity]);
+						expect(result.result).eql({ok: 1, n: 1});
+						expect(result.insertedCount).equal(1);
+					} else {
+						expect(result).only.keys('acknowledged', 'insertedId');
+					}
 					expect(result.insertedId).eql(entity._id);
 					this.pass(null);
 				},
@@ -204,6 +209,36 @@ describe('Test insertOne', function() {
 			);
 		});
 
+		it('with error hook which sets result, should be ok', function(done) {
+			var entity = helpers.getEntity(),
+				collection = helpers.getCollection({
+					error: function(params, callback) {
+						expect(params.error.code).equal(11000);
+
+						collection.findOne({_id: params.doc._id}, function(err, doc) {
+							params.result = doc;
+							callback(err);
+						});
+					}
+				});
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.insertOne(
+						{_id: entity._id, a: 2}, this.slot()
+					);
+				},
+				function(err, result) {
+					expect(result).eql(entity);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
 		after(helpers.cleanDb);
 	});
 });
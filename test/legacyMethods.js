@@ -0,0 +1,361 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers'),
+	Collection = require('../lib').Collection,
+	SourceCollection = require('mongodb').Collection;
+
+describe('Test legacy methods', function() {
+	var db;
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('with unknown mode, should throw error', function() {
+		expect(function() {
+			new Collection(db, 'test', {legacyMethods: 'ignore'});
+		}).throwError(/^Unknown legacyMethods mode: `ignore`$/);
+	});
+
+	describe('with error mode', function() {
+		var collection;
+
+		before(function() {
+			collection = new Collection(db, 'test');
+		});
+
+		it('insert should return error', function(done) {
+			collection.insert(helpers.getEntity(), function(err) {
+				expect(err).ok();
+				expect(err.message).equal(
+					'Method "insert" is deprecated, use "insertOne", ' +
+					'"insertMany" or "bulkWrite" instead'
+				);
+				done();
+			});
+		});
+
+		it('findAndModify should call driver method', function(done) {
+			var entity = helpers.getEntity();
+
+			// driver 4.x and later doesn't have the method
+			if (!SourceCollection.prototype.findAndModify) {
+				return collection.findAndModify({}, [], {}, {}, function(err) {
+					expect(err.message).equal(
+						'Method "findAndModify" is deprecated, use "findOneAndUpdate", ' +
+						'"findOneAndReplace" or "findOneAndDelete" instead'
+					);
+					done();
+				});
+			}
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.findAndModify(
+						{_id: entity._id}, [], {$set: {b: 1}}, {'new': true},
+						this.slot()
+					);
+				},
+				function(err, result) {
+					expect(result.value).eql({_id: entity._id, a: 1, b: 1});
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	describe('with translate mode', function() {
+		var collection,
+			calledHooks;
+
+		var getCollection = function() {
+			var collection = new Collection(db, 'test', {
+				legacyMethods: 'translate'
+			});
+
+			Collection.hookActions.forEach(function(action) {
+				if (/^before/.test(action)) {
+					collection.on(action, function() {
+						calledHooks.push(action);
+					});
+				}
+			});
+
+			return collection;
+		};
+
+		beforeEach(function(done) {
+			collection = getCollection();
+			calledHooks = [];
+
+			helpers.cleanDb(done);
+		});
+
+		it('insert should call insertMany', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.insert(entity, this.slot());
+				},
+				function(err, result) {
+					expect(calledHooks).eql(['beforeInsertMany']);
+					expect(result).eql([entity]);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('update should call updateOne or updateMany', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()];
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.update({}, {$set: {b: 1}}, this.slot());
+				},
+				function() {
+					collection.update(
+						{}, {$set: {c: 1}}, {multi: true}, this.slot()
+					);
+				},
+				function() {
+					collection.find().toArray(this.slot());
+				},
+				function(err, docs) {
+					expect(calledHooks).eql([
+						'beforeInsertMany', 'beforeUpdateOne', 'beforeUpdateMany',
+						'beforeFind'
+					]);
+					expect(docs).eql([
+						{_id: entities[0]._id, a: 1, b: 1, c: 1},
+						{_id: entities[1]._id, a: 1, c: 1}
+					]);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('update with replacement should call replaceOne', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					// legacy method without callback returns promise
+					var slot = this.slot();
+					collection.update({_id: entity._id}, {b: 1}).then(
+						function(result) {
+							slot(null, result);
+						},
+						slot
+					);
+				},
+				function() {
+					collection.findOne({_id: entity._id}, this.slot());
+				},
+				function(err, doc) {
+					expect(calledHooks).eql([
+						'beforeInsertOne', 'beforeReplaceOne', 'beforeFindOne'
+					]);
+					expect(doc).eql({_id: entity._id, b: 1});
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('update with upsert should call findOneAndUpsert', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.update(
+						{_id: entity._id}, {$set: {a: 1}}, {upsert: true}, this.slot()
+					);
+				},
+				function() {
+					collection.update(
+						{_id: entity._id}, {b: 1}, {upsert: true}, this.slot()
+					);
+				},
+				function() {
+					collection.findOne({_id: entity._id}, this.slot());
+				},
+				function(err, doc) {
+					expect(doc).eql({_id: entity._id, b: 1});
+					expect(calledHooks).eql([
+						'beforeUpsertOne', 'beforeUpsertOne', 'beforeFindOne'
+					]);
+
+					var callback = this.slot();
+					collection.update(
+						{}, {$set: {c: 1}}, {upsert: true, multi: true},
+						function(err) {
+							expect(err).ok();
+							expect(err.message).equal(
+								'Method "update" with "upsert" and "multi" options ' +
+								'could not be translated, use "upsert" method instead'
+							);
+							callback();
+						}
+					);
+				},
+				done
+			);
+		});
+
+		it('remove should call deleteOne or deleteMany', function(done) {
+			var entities = [
+				helpers.getEntity(), helpers.getEntity(), helpers.getEntity()
+			];
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.remove({}, {single: true}, this.slot());
+				},
+				function() {
+					collection.count(this.slot());
+				},
+				function(err, count) {
+					expect(count).equal(2);
+
+					collection.remove(this.slot());
+				},
+				function() {
+					collection.count(this.slot());
+				},
+				function(err, count) {
+					expect(count).equal(0);
+					expect(calledHooks).eql([
+						'beforeInsertMany', 'beforeDeleteOne', 'beforeCount',
+						'beforeDeleteMany', 'beforeCount'
+					]);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('save should call insertOne or findOneAndUpsert', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.save(entity, this.slot());
+				},
+				function() {
+					collection.save({_id: entity._id, b: 1}, this.slot());
+				},
+				function() {
+					collection.findOne({_id: entity._id}, this.slot());
+				},
+				function(err, doc) {
+					expect(doc).eql({_id: entity._id, b: 1});
+					expect(calledHooks).eql([
+						'beforeUpsertOne', 'beforeUpsertOne', 'beforeFindOne'
+					]);
+
+					collection.save({a: 2}, this.slot());
+				},
+				function() {
+					expect(calledHooks.pop()).equal('beforeInsertOne');
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('findAndModify with upsert should call findOneAndUpsert', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.findAndModify(
+						{_id: entity._id}, [], {$set: {a: 1}},
+						{upsert: true, 'new': true}, this.slot()
+					);
+				},
+				function(err, doc) {
+					expect(doc).eql(entity);
+
+					collection.findAndModify(
+						{_id: entity._id}, [], {$inc: {a: 1}}, {upsert: true},
+						this.slot()
+					);
+				},
+				function(err, doc) {
+					expect(doc).eql(entity);
+					expect(calledHooks).eql(['beforeUpsertOne', 'beforeUpsertOne']);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('findAndModify should call findOneAnd* methods', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.findAndModify(
+						{_id: entity._id}, [], {$set: {b: 1}}, {'new': true},
+						this.slot()
+					);
+				},
+				function(err, doc) {
+					expect(doc).eql({_id: entity._id, a: 1, b: 1});
+
+					collection.findAndModify(
+						{_id: entity._id}, [], null, {remove: true}, this.slot()
+					);
+				},
+				function(err, doc) {
+					expect(doc).eql({_id: entity._id, a: 1, b: 1});
+					expect(calledHooks).eql([
+						'beforeInsertOne', 'beforeUpdateOne', 'beforeDeleteOne'
+					]);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		after(helpers.cleanDb);
+	});
+});
@@ -0,0 +1,253 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('../helpers'),
+	driver = require('../../lib/driver').driver,
+	audit = require('../../lib').Plugins.audit;
+
+describe('Test audit plugin', function() {
+	var db;
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	describe('with audit collection', function() {
+		var collection,
+			auditCollection;
+
+		var getEntries = function(namespace, callback) {
+			if (typeof namespace === 'function') {
+				callback = namespace;
+				namespace = collection.namespace;
+			}
+
+			var cursor = auditCollection.find({namespace: namespace}).sort({_id: 1});
+			driver.call(cursor, 'toArray', [], callback);
+		};
+
+		before(function() {
+			collection = helpers.getCollection();
+			collection.addPlugin('audit', {
+				redact: ['password'],
+				hashChain: true
+			});
+			auditCollection = db.collection('__audit');
+		});
+
+		it('should record successful and failed writes', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.updateOne(
+						{_id: entity._id}, {$set: {password: 'secret'}},
+						{context: {user: 'admin'}}, this.slot()
+					);
+				},
+				function() {
+					var callback = this.slot();
+					collection.insertOne(entity, function(err) {
+						expect(err).ok();
+						callback();
+					});
+				},
+				function() {
+					getEntries(this.slot());
+				},
+				function(err, entries) {
+					expect(entries).length(3);
+
+					expect(entries[0].method).equal('insertOne');
+					expect(entries[0].success).equal(true);
+					expect(entries[0].counts).eql({insertedCount: 1});
+					expect(entries[0].namespace).equal(collection.namespace);
+
+					expect(entries[1].method).equal('updateOne');
+					expect(entries[1].condition).eql({_id: entity._id});
+					expect(entries[1].modifier).eql({
+						'\uff04set': {password: '[REDACTED]'}
+					});
+					expect(entries[1].counts).eql({matchedCount: 1, modifiedCount: 1});
+					expect(entries[1].context).eql({user: 'admin'});
+					expect(entries[1].duration).a('number');
+
+					expect(entries[2].method).equal('insertOne');
+					expect(entries[2].success).equal(false);
+					expect(entries[2].error).ok();
+
+					expect(audit.verifyChain(entries)).equal(true);
+					expect(entries[1].prevHash).equal(entries[0].hash);
+
+					entries[1].counts.modifiedCount = 0;
+					expect(audit.verifyChain(entries)).equal(false);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should keep chain per namespace after restart', function(done) {
+			var otherCollection = helpers.getCollection('auditTest');
+			otherCollection.addPlugin('audit', {hashChain: true});
+
+			Steppy(
+				function() {
+					otherCollection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					// new plugin instance loads last hash of its namespace
+					var restartedCollection = helpers.getCollection();
+					restartedCollection.addPlugin('audit', {hashChain: true});
+
+					restartedCollection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					getEntries(this.slot());
+					getEntries(otherCollection.namespace, this.slot());
+				},
+				function(err, entries, otherEntries) {
+					expect(entries).length(4);
+					expect(audit.verifyChain(entries)).equal(true);
+
+					expect(otherEntries).length(1);
+					expect(otherEntries[0].prevHash).equal(null);
+
+					otherCollection.drop(this.slot());
+				},
+				function() {
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should verify chain of entries with undefined fields', function(done) {
+			var undefinedCollection = helpers.getCollection('auditUndefinedTest');
+			undefinedCollection.addPlugin('audit', {hashChain: true});
+
+			Steppy(
+				function() {
+					undefinedCollection.insertOne(
+						helpers.getEntity(),
+						{context: {user: undefined, ids: [undefined]}},
+						this.slot()
+					);
+				},
+				function() {
+					getEntries(undefinedCollection.namespace, this.slot());
+				},
+				function(err, entries) {
+					expect(entries).length(1);
+					expect(entries[0].context).eql({ids: [null]});
+					expect(audit.verifyChain(entries)).equal(true);
+
+					undefinedCollection.drop(this.slot());
+				},
+				done
+			);
+		});
+
+		after(function(done) {
+			auditCollection.drop(function() {
+				done();
+			});
+		});
+	});
+
+	describe('with sink', function() {
+		it('should pass entries to the sink', function(done) {
+			var entries = [],
+				collection = helpers.getCollection();
+
+			collection.addPlugin('audit', {
+				sink: function(entry) {
+					entries.push(entry);
+					return Promise.resolve();
+				},
+				hashChain: true,
+				lastHash: 'initial'
+			});
+
+			Steppy(
+				function() {
+					collection.insertMany(
+						[helpers.getEntity(), helpers.getEntity()], this.slot()
+					);
+				},
+				function() {
+					collection.deleteMany({}, this.slot());
+				},
+				function() {
+					expect(entries).length(2);
+					expect(entries[0].prevHash).equal('initial');
+					expect(entries[0].counts).eql({insertedCount: 2});
+					expect(entries[1].method).equal('deleteMany');
+					expect(entries[1].counts).eql({deletedCount: 2});
+					expect(audit.verifyChain(entries)).equal(true);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('should record bulk write with counts', function(done) {
+			var entries = [],
+				collection = helpers.getCollection(),
+				entity = helpers.getEntity();
+
+			collection.addPlugin('audit', {
+				sink: function(entry) {
+					entries.push(entry);
+					return Promise.resolve();
+				}
+			});
+
+			Steppy(
+				function() {
+					collection.bulkWrite([
+						{insertOne: {document: entity}},
+						{updateOne: {filter: {_id: entity._id}, update: {$set: {b: 1}}}}
+					], this.slot());
+				},
+				function() {
+					expect(entries.map(function(entry) {
+						return {method: entry.method, counts: entry.counts};
+					})).eql([
+						{method: 'insertOne', counts: {insertedCount: 1}},
+						{
+							method: 'bulkWrite',
+							counts: {
+								insertedCount: 1,
+								matchedCount: 1,
+								modifiedCount: 1,
+								deletedCount: 0,
+								upsertedCount: 0
+							}
+						}
+					]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
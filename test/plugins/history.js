@@ -0,0 +1,265 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('../helpers'),
+	driver = require('../../lib/driver').driver;
+
+describe('Test history plugin', function() {
+	var db,
+		collection,
+		historyCollection,
+		revisionsCollection;
+
+	var cleanHistory = function(callback) {
+		Steppy(
+			function() {
+				driver.call(historyCollection, 'deleteMany', [{}], this.slot());
+				driver.call(revisionsCollection, 'deleteMany', [{}], this.slot());
+			},
+			function() {
+				this.pass(null);
+			},
+			callback
+		);
+	};
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				collection = helpers.getCollection();
+				historyCollection = db.collection('test_history');
+				revisionsCollection = db.collection('test_history_revisions');
+
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('add plugin, should be ok', function() {
+		collection.addPlugin('history');
+	});
+
+	it('with concurrent updates, should allocate revisions', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.updateOne(
+					{_id: entity._id}, {$set: {b: 1}}, this.slot()
+				);
+				collection.updateOne(
+					{_id: entity._id}, {$set: {c: 1}}, this.slot()
+				);
+			},
+			function() {
+				collection.getHistory(entity._id, this.slot());
+			},
+			function(err, entries) {
+				expect(entries.map(function(entry) {
+					return entry.revision;
+				})).eql([1, 2]);
+
+				helpers.cleanDb(this.slot());
+			},
+			function() {
+				cleanHistory(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with update, replace and delete, should store states', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.updateOne(
+					{_id: entity._id}, {$set: {b: 1}}, {context: {user: 'a'}},
+					this.slot()
+				);
+			},
+			function() {
+				collection.replaceOne({_id: entity._id}, {c: 1}, this.slot());
+			},
+			function() {
+				collection.findOneAndDelete({_id: entity._id}, this.slot());
+			},
+			function() {
+				collection.getHistory(entity._id, this.slot());
+			},
+			function(err, entries) {
+				expect(entries).length(3);
+
+				expect(entries.map(function(entry) {
+					return entry.revision;
+				})).eql([1, 2, 3]);
+				expect(entries.map(function(entry) {
+					return entry.action;
+				})).eql(['afterUpdateOne', 'afterReplaceOne', 'afterDeleteOne']);
+
+				expect(entries[0].obj).eql(entity);
+				expect(entries[0].context).eql({user: 'a'});
+				expect(entries[0].date).a(Date);
+				expect(entries[1].obj).eql({_id: entity._id, a: 1, b: 1});
+				expect(entries[2].obj).eql({_id: entity._id, c: 1});
+
+				helpers.cleanDb(this.slot());
+			},
+			function() {
+				cleanHistory(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with updateMany and deleteMany, should store states', function(done) {
+		var entities = [helpers.getEntity(), helpers.getEntity()];
+
+		Steppy(
+			function() {
+				collection.insertMany(entities, this.slot());
+			},
+			function() {
+				collection.updateMany({}, {$set: {b: 1}}, this.slot());
+			},
+			function() {
+				collection.deleteMany({}, this.slot());
+			},
+			function() {
+				collection.getHistory(entities[0]._id, this.slot());
+				collection.getHistory(entities[1]._id, this.slot());
+			},
+			function(err, firstEntries, secondEntries) {
+				[firstEntries, secondEntries].forEach(function(entries, index) {
+					expect(entries).length(2);
+					expect(entries[0].obj).eql(entities[index]);
+					expect(entries[1].revision).equal(2);
+					expect(entries[1].obj.b).equal(1);
+				});
+
+				cleanHistory(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with restoreRevision, should restore state', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.updateOne(
+					{_id: entity._id}, {$set: {a: 2}}, this.slot()
+				);
+			},
+			function() {
+				collection.restoreRevision(entity._id, 1, this.slot());
+			},
+			function(err, doc) {
+				expect(doc).eql(entity);
+
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, doc) {
+				expect(doc).eql(entity);
+
+				// restore is a write, so previous state is stored too
+				collection.getHistory(entity._id, this.slot());
+			},
+			function(err, entries) {
+				expect(entries).length(2);
+				expect(entries[1].obj).eql({_id: entity._id, a: 2});
+
+				collection.deleteOne({_id: entity._id}, this.slot());
+			},
+			function() {
+				collection.restoreRevision(entity._id, 2, this.slot());
+			},
+			function() {
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, doc) {
+				expect(doc).eql({_id: entity._id, a: 2});
+
+				helpers.cleanDb(this.slot());
+			},
+			function() {
+				cleanHistory(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with softDelete plugin, should restore deleted document', function(done) {
+		var entity = helpers.getEntity(),
+			softDeleteCollection = helpers.getCollection('historySoftDeleteTest');
+
+		softDeleteCollection.addPlugin('softDelete');
+		softDeleteCollection.addPlugin('history');
+
+		Steppy(
+			function() {
+				softDeleteCollection.insertOne(entity, this.slot());
+			},
+			function() {
+				softDeleteCollection.updateOne(
+					{_id: entity._id}, {$set: {a: 2}}, this.slot()
+				);
+			},
+			function() {
+				softDeleteCollection.deleteOne({_id: entity._id}, this.slot());
+			},
+			function() {
+				softDeleteCollection.restoreRevision(entity._id, 1, this.slot());
+			},
+			function() {
+				softDeleteCollection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, doc) {
+				expect(doc).eql(entity);
+
+				softDeleteCollection.drop(this.slot());
+			},
+			function() {
+				driver.call(
+					db, 'dropCollection', ['historySoftDeleteTest_history'],
+					this.slot()
+				);
+				driver.call(
+					db, 'dropCollection', ['historySoftDeleteTest_history_revisions'],
+					this.slot()
+				);
+			},
+			function() {
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('with unknown revision, should return error', function(done) {
+		collection.restoreRevision(-1, 1, function(err) {
+			expect(err).ok();
+			expect(err.message).equal('Revision 1 of document `-1` is not found');
+
+			done();
+		});
+	});
+
+	after(helpers.cleanDb);
+});
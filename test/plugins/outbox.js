@@ -0,0 +1,304 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('../helpers'),
+	outbox = require('../../lib/plugins/outbox');
+
+describe('Test outbox plugin', function() {
+	var db,
+		collection,
+		outboxCollection;
+
+	var cleanOutbox = function(callback) {
+		outboxCollection.deleteMany({}, function(err) {
+			callback(err);
+		});
+	};
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				collection = helpers.getCollection();
+				outboxCollection = helpers.getCollection('__outbox');
+
+				cleanOutbox(this.slot());
+			},
+			done
+		);
+	});
+
+	it('add plugin, should be ok', function() {
+		collection.addPlugin('outbox');
+	});
+
+	it('with unknown action, should throw error', function() {
+		expect(function() {
+			helpers.getCollection().addPlugin('outbox', {
+				actions: ['afterFind']
+			});
+		}).throwError(/^Unknown outbox action: `afterFind`$/);
+	});
+
+	it('with insertOne, should record event', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				outboxCollection.find().toArray(this.slot());
+			},
+			function(err, events) {
+				expect(events).length(1);
+				expect(events[0]).only.keys(
+					'_id', 'collectionName', 'action', 'params', 'status',
+					'attempts', 'createDate', 'nextAttemptDate'
+				);
+				expect(events[0].collectionName).equal('test');
+				expect(events[0].action).equal('afterInsertOne');
+				expect(events[0].params).eql({obj: entity});
+				expect(events[0].status).equal('pending');
+				expect(events[0].attempts).equal(0);
+
+				cleanOutbox(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with updateOne, should record event with encoded keys', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.updateOne(
+					{_id: entity._id}, {$set: {'b.c': 1}}, this.slot()
+				);
+			},
+			function() {
+				outboxCollection.find({action: 'afterUpdateOne'}).toArray(
+					this.slot()
+				);
+			},
+			function(err, events) {
+				expect(events).length(1);
+				expect(events[0].params).eql({
+					condition: {_id: entity._id},
+					modifier: {'\uff04set': {'b\uff0ec': 1}}
+				});
+
+				cleanOutbox(this.slot());
+			},
+			done
+		);
+	});
+
+	describe('poller', function() {
+		var delivered;
+
+		var createPoller = function(options) {
+			options = options || {};
+			options.deliver = options.deliver || function(event, callback) {
+				delivered.push(event);
+				callback();
+			};
+			return outbox.createPoller(db, options);
+		};
+
+		beforeEach(function(done) {
+			delivered = [];
+
+			Steppy(
+				function() {
+					helpers.cleanDb(this.slot());
+				},
+				function() {
+					cleanOutbox(this.slot());
+				},
+				done
+			);
+		});
+
+		it('without deliver, should throw error', function() {
+			expect(function() {
+				outbox.createPoller(db, {});
+			}).throwError(/^`deliver` is not a function$/);
+		});
+
+		it('should deliver events and mark them done', function(done) {
+			var entity = helpers.getEntity(),
+				poller = createPoller();
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.updateOne(
+						{_id: entity._id}, {$set: {b: 1}}, this.slot()
+					);
+				},
+				function() {
+					poller.pollOnce(this.slot());
+				},
+				function(err, processedCount) {
+					expect(processedCount).equal(2);
+					expect(delivered).length(2);
+					expect(delivered[0].action).equal('afterInsertOne');
+					expect(delivered[1].action).equal('afterUpdateOne');
+					expect(delivered[1].params.modifier).eql({$set: {b: 1}});
+
+					outboxCollection.find().toArray(this.slot());
+				},
+				function(err, events) {
+					events.forEach(function(event) {
+						expect(event.status).equal('done');
+						expect(event.attempts).equal(1);
+						expect(event.doneDate).a(Date);
+					});
+
+					poller.pollOnce(this.slot());
+				},
+				function(err, processedCount) {
+					expect(processedCount).equal(0);
+					expect(delivered).length(2);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('should process not more than batch size events', function(done) {
+			var poller = createPoller({batchSize: 1});
+
+			Steppy(
+				function() {
+					collection.insertMany(
+						[helpers.getEntity(), helpers.getEntity()], this.slot()
+					);
+				},
+				function() {
+					collection.deleteMany({}, this.slot());
+				},
+				function() {
+					poller.pollOnce(this.slot());
+				},
+				function(err, processedCount) {
+					expect(processedCount).equal(1);
+					expect(delivered).length(1);
+					expect(delivered[0].action).equal('afterInsertMany');
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('should retry failed delivery with backoff', function(done) {
+			var poller = createPoller({
+				deliver: function() {
+					return Promise.reject(new Error('Delivery error'));
+				},
+				maxAttempts: 2,
+				backoff: 0
+			});
+
+			Steppy(
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					poller.pollOnce(this.slot());
+				},
+				function(err, processedCount) {
+					// event without delay is retried during the same poll
+					expect(processedCount).equal(2);
+
+					outboxCollection.findOne(this.slot());
+				},
+				function(err, event) {
+					expect(event.status).equal('failed');
+					expect(event.attempts).equal(2);
+					expect(event.lastError).equal('Delivery error');
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('should postpone failed delivery', function(done) {
+			var poller = createPoller({
+				deliver: function(event, callback) {
+					callback(new Error('Delivery error'));
+				},
+				backoff: 60000
+			});
+
+			Steppy(
+				function() {
+					collection.insertOne(helpers.getEntity(), this.slot());
+				},
+				function() {
+					poller.pollOnce(this.slot());
+				},
+				function(err, processedCount) {
+					expect(processedCount).equal(1);
+
+					outboxCollection.findOne(this.slot());
+				},
+				function(err, event) {
+					expect(event.status).equal('pending');
+					expect(event.attempts).equal(1);
+					expect(event.nextAttemptDate.getTime()).greaterThan(
+						Date.now() + 50000
+					);
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		it('should be started and stopped', function(done) {
+			var poller;
+
+			poller = createPoller({
+				deliver: function(event) {
+					delivered.push(event);
+					poller.stop();
+					expect(delivered).length(1);
+					done();
+				},
+				interval: 10
+			});
+
+			collection.insertOne(helpers.getEntity(), function(err) {
+				if (err) return done(err);
+				poller.start();
+			});
+		});
+	});
+
+	after(function(done) {
+		Steppy(
+			function() {
+				helpers.cleanDb(this.slot());
+			},
+			function() {
+				cleanOutbox(this.slot());
+			},
+			done
+		);
+	});
+});
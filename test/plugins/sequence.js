@@ -147,4 +147,29 @@ describe('Test sequence plugin', function() {
 			);
 		}
 	);
+
+	it('with drop, should remove sequence of collection', function(done) {
+		var droppedCollection = helpers.getCollection('sequenceDropTest');
+		droppedCollection.addPlugin('sequence');
+
+		Steppy(
+			function() {
+				droppedCollection.insertOne({a: 1}, this.slot());
+			},
+			function() {
+				droppedCollection.drop(this.slot());
+			},
+			function() {
+				helpers.getCollection('__sequences').findOne({
+					name: 'sequenceDropTest'
+				}, this.slot());
+			},
+			function(err, sequence) {
+				expect(sequence).not.ok();
+
+				this.pass(null);
+			},
+			done
+		);
+	});
 });
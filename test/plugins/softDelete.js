@@ -0,0 +1,300 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('../helpers'),
+	driver = require('../../lib/driver').driver;
+
+describe('Test softDelete plugin', function() {
+	var collection,
+		sourceCollection;
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, db) {
+				collection = helpers.getCollection();
+				sourceCollection = db.collection('test');
+
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('add plugin, should be ok', function() {
+		collection.addPlugin('softDelete');
+	});
+
+	describe('delete', function() {
+		var entities;
+
+		beforeEach(function(done) {
+			entities = [
+				helpers.getEntity(), helpers.getEntity(), helpers.getEntity()
+			];
+
+			collection.insertMany(entities, done);
+		});
+
+		it('with deleteOne, should mark document', function(done) {
+			Steppy(
+				function() {
+					collection.deleteOne({_id: entities[0]._id}, this.slot());
+				},
+				function(err, result) {
+					expect(result).eql({deletedCount: 1});
+
+					collection.findOne({_id: entities[0]._id}, this.slot());
+				},
+				function(err, doc) {
+					expect(doc).equal(null);
+
+					collection.findOne(
+						{_id: entities[0]._id}, null, {withDeleted: true}, this.slot()
+					);
+				},
+				function(err, doc) {
+					expect(doc.deletedAt).a('number');
+
+					collection.count(this.slot());
+				},
+				function(err, count) {
+					expect(count).equal(2);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('with deleteMany, should mark documents', function(done) {
+			Steppy(
+				function() {
+					collection.deleteMany({
+						_id: {$in: [entities[0]._id, entities[1]._id]}
+					}, this.slot());
+				},
+				function(err, result) {
+					expect(result).eql({deletedCount: 2});
+
+					// already deleted documents are not deleted again
+					collection.deleteMany({}, this.slot());
+				},
+				function(err, result) {
+					expect(result).eql({deletedCount: 1});
+
+					collection.find().toArray(this.slot());
+				},
+				function(err, docs) {
+					expect(docs).length(0);
+
+					collection.count({}, {withDeleted: true}, this.slot());
+				},
+				function(err, count) {
+					expect(count).equal(3);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('with findOneAndDelete, should return marked document', function(done) {
+			Steppy(
+				function() {
+					collection.findOneAndDelete({_id: entities[0]._id}, this.slot());
+				},
+				function(err, doc) {
+					expect(doc).eql(entities[0]);
+
+					driver.call(
+						sourceCollection, 'findOne', [{_id: entities[0]._id}], this.slot()
+					);
+				},
+				function(err, doc) {
+					expect(doc.deletedAt).a('number');
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('with bulkWrite, should mark documents', function(done) {
+			Steppy(
+				function() {
+					collection.bulkWrite([
+						{deleteOne: {filter: {_id: entities[0]._id}}},
+						{deleteMany: {filter: {_id: entities[1]._id}}}
+					], this.slot());
+				},
+				function() {
+					collection.find().toArray(this.slot());
+				},
+				function(err, docs) {
+					expect(docs).eql([entities[2]]);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	describe('update', function() {
+		it('should not change deleted documents', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.deleteOne({_id: entity._id}, this.slot());
+				},
+				function() {
+					collection.updateOne(
+						{_id: entity._id}, {$set: {b: 1}}, this.slot()
+					);
+				},
+				function(err, result) {
+					expect(result.matchedCount).equal(0);
+
+					collection.updateOne(
+						{_id: entity._id}, {$set: {b: 1}}, {withDeleted: true},
+						this.slot()
+					);
+				},
+				function(err, result) {
+					expect(result.matchedCount).equal(1);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('should not change filter of the caller', function(done) {
+			var entity = helpers.getEntity(),
+				filter = {_id: entity._id},
+				operations = [{updateOne: {filter: filter, update: {$set: {b: 1}}}}],
+				hookParams;
+
+			var hook = function(params) {
+				hookParams = params;
+			};
+
+			Steppy(
+				function() {
+					collection.on('beforeUpdateOne', hook);
+
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.updateOne(
+						filter, {$set: {b: 1}}, {withDeleted: true}, this.slot()
+					);
+				},
+				function() {
+					expect(hookParams.options).not.have.key('withDeleted');
+					expect(hookParams.extendOptions).eql({withDeleted: true});
+
+					collection.bulkWrite(operations, this.slot());
+				},
+				function() {
+					collection.deleteOne(filter, this.slot());
+				},
+				function() {
+					expect(filter).eql({_id: entity._id});
+					expect(operations[0].updateOne.filter).equal(filter);
+
+					collection.off('beforeUpdateOne', hook);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	describe('restore', function() {
+		it('should restore deleted documents', function(done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()];
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.deleteMany({}, this.slot());
+				},
+				function() {
+					collection.restoreOne({_id: entities[0]._id}, this.slot());
+				},
+				function(err, result) {
+					expect(result.modifiedCount).equal(1);
+
+					collection.find().toArray(this.slot());
+				},
+				function(err, docs) {
+					expect(docs).eql([entities[0]]);
+
+					collection.restoreMany({}, this.slot());
+				},
+				function(err, result) {
+					expect(result.modifiedCount).equal(1);
+
+					collection.find().toArray(this.slot());
+				},
+				function(err, docs) {
+					expect(docs).eql(entities);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	describe('with flag format and custom key', function() {
+		it('should set flag', function(done) {
+			var flagCollection = helpers.getCollection(),
+				entity = helpers.getEntity();
+
+			flagCollection.addPlugin('softDelete', {
+				key: 'deleted',
+				format: 'flag'
+			});
+
+			Steppy(
+				function() {
+					flagCollection.insertOne(entity, this.slot());
+				},
+				function() {
+					flagCollection.deleteOne({_id: entity._id}, this.slot());
+				},
+				function() {
+					driver.call(
+						sourceCollection, 'findOne', [{_id: entity._id}], this.slot()
+					);
+				},
+				function(err, doc) {
+					expect(doc.deleted).equal(true);
+
+					flagCollection.find({deleted: true}).toArray(this.slot());
+				},
+				function(err, docs) {
+					expect(docs).length(1);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+	});
+
+	after(helpers.cleanDb);
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('../helpers'),
+	mongodbext = require('../../lib'),
+	validation = mongodbext.Plugins.validation;
+
+describe('Test validation plugin', function() {
+	var schema = {
+		type: 'object',
+		required: ['a'],
+		additionalProperties: false,
+		properties: {
+			_id: {type: 'integer'},
+			a: {type: 'integer', minimum: 0},
+			b: {type: 'string', pattern: '^b'},
+			tags: {type: 'array', items: {type: 'string'}},
+			address: {
+				type: 'object',
+				required: ['city'],
+				properties: {city: {type: 'string'}}
+			}
+		}
+	};
+
+	describe('validate', function() {
+		it('with valid document, should return no errors', function() {
+			var doc = {_id: 1, a: 1, b: 'b', tags: ['x'], address: {city: 'c'}};
+			expect(validation.validate(schema, doc)).eql([]);
+		});
+
+		it('with invalid document, should return errors by paths', function() {
+			var doc = {a: -1, b: 'c', tags: ['x', 1], address: {}, c: 1};
+			expect(validation.validate(schema, doc)).eql([
+				{path: 'a', message: 'should be >= 0'},
+				{path: 'b', message: 'should match pattern "^b"'},
+				{path: 'tags.1', message: 'should be string'},
+				{path: 'address.city', message: 'is required'},
+				{path: 'c', message: 'is not allowed'}
+			]);
+		});
+
+		it('with modifier, should check paths of operators', function() {
+			expect(validation.validateModifier(schema, {
+				$set: {'address.city': 1, 'tags.0': 'x'},
+				$unset: {a: ''},
+				$push: {tags: {$each: ['y', 2]}},
+				$inc: {b: 1}
+			})).eql([
+				{path: 'address.city', message: 'should be string'},
+				{path: 'a', message: 'is required'},
+				{path: 'tags', message: 'should be string'},
+				{path: 'b', message: 'should be string'}
+			]);
+		});
+	});
+
+	describe('plugin', function() {
+		var collection;
+
+		before(function(done) {
+			Steppy(
+				function() {
+					helpers.dbConnect(this.slot());
+				},
+				function() {
+					collection = helpers.getCollection();
+					collection.addPlugin('validation', {schema: schema});
+
+					this.pass(null);
+				},
+				done
+			);
+		});
+
+		var expectValidationError = function(err, errors) {
+			expect(err).a(mongodbext.ValidationError);
+			expect(err.name).equal('ValidationError');
+			expect(err.errors).eql(errors);
+		};
+
+		it('with invalid insertOne, should return error', function(done) {
+			var errorHookParams;
+			collection.on('error', function(params) {
+				errorHookParams = params;
+			});
+
+			collection.insertOne({_id: 1, b: 'b'}, function(err) {
+				expectValidationError(err, [{path: 'a', message: 'is required'}]);
+				expect(errorHookParams.error).equal(err);
+				expect(errorHookParams.method).equal('insertOne');
+
+				done();
+			});
+		});
+
+		it('with invalid insertMany, should prefix paths by index', function(done) {
+			collection.insertMany([{a: 1}, {a: 'a'}], function(err) {
+				expectValidationError(err, [{path: '1.a', message: 'should be integer'}]);
+
+				done();
+			});
+		});
+
+		it('with valid documents and modifiers, should be ok', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					collection.updateOne(
+						{_id: entity._id}, {$set: {b: 'b'}, $inc: {a: 1}}, this.slot()
+					);
+				},
+				function() {
+					collection.findOne({_id: entity._id}, this.slot());
+				},
+				function(err, doc) {
+					expect(doc).eql({_id: entity._id, a: 2, b: 'b'});
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		it('with invalid replacement or modifier, should fail', function(done) {
+			var entity = helpers.getEntity();
+
+			Steppy(
+				function() {
+					collection.insertOne(entity, this.slot());
+				},
+				function() {
+					var callback = this.slot();
+					collection.replaceOne({_id: entity._id}, {b: 'b'}, function(err) {
+						expectValidationError(err, [{path: 'a', message: 'is required'}]);
+						callback();
+					});
+				},
+				function() {
+					var callback = this.slot();
+					collection.findOneAndUpsert(
+						{_id: entity._id}, {$set: {c: 1}},
+						function(err) {
+							expectValidationError(err, [{path: 'c', message: 'is not allowed'}]);
+							callback();
+						}
+					);
+				},
+				function() {
+					collection.findOne({_id: entity._id}, this.slot());
+				},
+				function(err, doc) {
+					expect(doc).eql(entity);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		});
+
+		after(helpers.cleanDb);
+	});
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('../helpers'),
+	VersionConflictError = require('../../lib').VersionConflictError;
+
+describe('Test version plugin', function() {
+	var collection;
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function() {
+				collection = helpers.getCollection();
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('add plugin, should be ok', function() {
+		collection.addPlugin('version');
+	});
+
+	it('with insertOne and insertMany, should stamp version', function(done) {
+		Steppy(
+			function() {
+				collection.insertOne(helpers.getEntity(), this.slot());
+				collection.insertMany(
+					[helpers.getEntity(), helpers.getEntity()], this.slot()
+				);
+			},
+			function(err, doc, docs) {
+				expect(doc.__v).equal(0);
+				docs.forEach(function(doc) {
+					expect(doc.__v).equal(0);
+				});
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with updates and replace, should increment version', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.updateOne(
+					{_id: entity._id}, {$set: {b: 1}}, this.slot()
+				);
+			},
+			function() {
+				collection.findOneAndUpdate(
+					{_id: entity._id}, {$set: {b: 2}}, {returnOriginal: false},
+					this.slot()
+				);
+			},
+			function(err, doc) {
+				expect(doc.__v).equal(2);
+
+				collection.replaceOne({_id: entity._id}, {c: 1}, this.slot());
+			},
+			function() {
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, doc) {
+				expect(doc).eql({_id: entity._id, c: 1, __v: 3});
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with upsert, should stamp or increment version', function(done) {
+		var entity = helpers.getEntity(),
+			anotherEntity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.findOneAndUpsert(
+					{_id: entity._id}, {$set: {a: 1}}, this.slot()
+				);
+			},
+			function() {
+				collection.findOneAndUpsert(
+					{_id: entity._id}, {$set: {b: 1}}, this.slot()
+				);
+			},
+			function() {
+				collection.findOneAndUpsert(
+					{_id: anotherEntity._id}, {c: 1}, this.slot()
+				);
+			},
+			function() {
+				collection.findOneAndUpsert(
+					{_id: anotherEntity._id}, {c: 2}, this.slot()
+				);
+			},
+			function() {
+				collection.find().sort({_id: 1}).toArray(this.slot());
+			},
+			function(err, docs) {
+				expect(docs).eql([
+					{_id: entity._id, a: 1, b: 1, __v: 1},
+					{_id: anotherEntity._id, c: 2, __v: 1}
+				]);
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with expected version, should update matched document', function(done) {
+		var entity = helpers.getEntity(),
+			filter = {_id: entity._id};
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.findOneAndUpdate(
+					filter, {$set: {b: 1}},
+					{version: 0, returnOriginal: false}, this.slot()
+				);
+			},
+			function(err, doc) {
+				expect(doc).eql({_id: entity._id, a: 1, b: 1, __v: 1});
+
+				collection.replaceOne(filter, {c: 1}, {version: 1}, this.slot());
+			},
+			function() {
+				expect(filter).eql({_id: entity._id});
+
+				this.pass(null);
+			},
+			function() {
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, doc) {
+				expect(doc).eql({_id: entity._id, c: 1, __v: 2});
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with outdated version, should return conflict error', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.updateOne(
+					{_id: entity._id}, {$set: {b: 1}}, this.slot()
+				);
+			},
+			function() {
+				var callback = this.slot();
+				collection.replaceOne(
+					{_id: entity._id}, {c: 1}, {version: 0}, function(err) {
+						expect(err).a(VersionConflictError);
+						expect(err.name).equal('VersionConflictError');
+						expect(err.expectedVersion).equal(0);
+						expect(err.condition).eql({_id: entity._id, __v: 0});
+
+						callback();
+					}
+				);
+			},
+			function() {
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, doc) {
+				expect(doc).eql({_id: entity._id, a: 1, b: 1, __v: 1});
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('with bulkWrite and expected version, should fail', function(done) {
+		collection.bulkWrite([
+			{updateOne: {filter: {_id: 1}, update: {$set: {b: 1}}}}
+		], {version: 0}, function(err) {
+			expect(err).ok();
+			expect(err.message).equal(
+				'`version` option is not supported by "bulkWrite" method'
+			);
+
+			done();
+		});
+	});
+
+	after(helpers.cleanDb);
+});
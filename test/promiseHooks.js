@@ -0,0 +1,90 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+describe('Test promise hooks', function() {
+	before(helpers.dbConnect);
+
+	it('should be ok with promise before hook', function(done) {
+		var entity = helpers.getEntity(),
+			collection = helpers.getCollection({
+				beforeInsertOne: function(params) {
+					return new Promise(function(resolve) {
+						setTimeout(function() {
+							params.obj.b = 1;
+							resolve();
+						}, 10);
+					});
+				}
+			});
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function() {
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, result) {
+				entity.b = 1;
+				expect(result).eql(entity);
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('should pass rejection to error hook', function(done) {
+		var entity = helpers.getEntity(),
+			collection = helpers.getCollection({
+				beforeInsertOne: function() {
+					return Promise.reject(new Error(helpers.beforeHookErrorMessage));
+				},
+				error: function(params) {
+					expect(params.method).eql('insertOne');
+					expect(params.error).ok();
+
+					params.error.hookCalled = true;
+				}
+			});
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function(err) {
+				expect(err).ok();
+				expect(err.message).eql(helpers.beforeHookErrorMessage);
+				expect(err.hookCalled).ok();
+
+				helpers.cleanDb(done);
+			}
+		);
+	});
+
+	it('should pass thrown error to error hook', function(done) {
+		var entity = helpers.getEntity(),
+			collection = helpers.getCollection({
+				beforeInsertOne: function() {
+					throw new Error(helpers.beforeHookErrorMessage);
+				}
+			});
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, this.slot());
+			},
+			function(err) {
+				expect(err).ok();
+				expect(err.message).eql(helpers.beforeHookErrorMessage);
+
+				helpers.cleanDb(done);
+			}
+		);
+	});
+
+	after(helpers.cleanDb);
+});
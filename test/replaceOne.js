@@ -83,10 +83,18 @@ describe('Test replaceOne', function() {
 				},
 				function(err, result) {
 					expect(result).ok();
-					expect(result).have.keys(
-						'result', 'connection', 'matchedCount', 'modifiedCount',
-						'upsertedId', 'upsertedCount', 'ops'
-					);
+					// driver 4.x and later returns less detailed result
+					if (helpers.driverMajorVersion < 4) {
+						expect(result).have.keys(
+							'result', 'connection', 'matchedCount', 'modifiedCount',
+							'upsertedId', 'upsertedCount', 'ops'
+						);
+					} else {
+						expect(result).only.keys(
+							'acknowledged', 'matchedCount', 'modifiedCount',
+							'upsertedId', 'upsertedCount'
+						);
+					}
 
 					this.pass(null);
 				},
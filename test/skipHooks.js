@@ -0,0 +1,135 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+describe('Test skipping of hooks', function() {
+	before(helpers.dbConnect);
+
+	var calledHooks, collection;
+
+	beforeEach(function() {
+		calledHooks = [];
+		collection = helpers.getCollection({
+			beforeInsertOne: function() {
+				calledHooks.push('beforeInsertOne');
+			},
+			afterInsertOne: function() {
+				calledHooks.push('afterInsertOne');
+			}
+		});
+		collection.addPlugin(function marker(collection) {
+			collection.on('beforeInsertOne', function(params) {
+				calledHooks.push('marker');
+				params.obj.marked = true;
+			});
+		});
+	});
+
+	it('should skip all hooks with skipHooks true', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, {skipHooks: true}, this.slot());
+			},
+			function() {
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, result) {
+				expect(result).eql(entity);
+				expect(calledHooks).eql([]);
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('should skip hooks of listed actions', function(done) {
+		Steppy(
+			function() {
+				collection.insertOne(helpers.getEntity(), {
+					skipHooks: ['afterInsertOne']
+				}, this.slot());
+			},
+			function() {
+				expect(calledHooks).eql(['beforeInsertOne', 'marker']);
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('should skip hooks of listed plugins', function(done) {
+		var entity = helpers.getEntity();
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, {
+					skipPlugins: ['marker']
+				}, this.slot());
+			},
+			function() {
+				collection.findOne({_id: entity._id}, this.slot());
+			},
+			function(err, result) {
+				expect(result).eql(entity);
+				expect(calledHooks).eql(['beforeInsertOne', 'afterInsertOne']);
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('should not skip hooks of next calls', function(done) {
+		Steppy(
+			function() {
+				collection.insertOne(
+					helpers.getEntity(), {skipHooks: true}, this.slot()
+				);
+			},
+			function() {
+				collection.insertOne(helpers.getEntity(), this.slot());
+			},
+			function() {
+				expect(calledHooks).eql([
+					'beforeInsertOne', 'marker', 'afterInsertOne'
+				]);
+
+				helpers.cleanDb(this.slot());
+			},
+			done
+		);
+	});
+
+	it('should skip error hook with skipHooks true', function(done) {
+		var entity = helpers.getEntity(),
+			errorHookCalled = false;
+
+		collection.on('error', function() {
+			errorHookCalled = true;
+		});
+
+		Steppy(
+			function() {
+				collection.insertOne(entity, {skipHooks: true}, this.slot());
+			},
+			function() {
+				// duplicate key error
+				collection.insertOne(entity, {skipHooks: true}, this.slot());
+			},
+			function(err) {
+				expect(err).ok();
+				expect(errorHookCalled).equal(false);
+
+				helpers.cleanDb(done);
+			}
+		);
+	});
+
+	after(helpers.cleanDb);
+});
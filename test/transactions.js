@@ -0,0 +1,146 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	helpers = require('./helpers');
+
+// session which emulates transaction state without server
+var createSession = function() {
+	var inTransaction = false;
+
+	var endTransaction = function(callback) {
+		inTransaction = false;
+		if (callback) {
+			callback();
+		} else {
+			return Promise.resolve();
+		}
+	};
+
+	return {
+		inTransaction: function() {
+			return inTransaction;
+		},
+		startTransaction: function() {
+			inTransaction = true;
+		},
+		commitTransaction: endTransaction,
+		abortTransaction: endTransaction
+	};
+};
+
+describe('Test transactions hooks', function() {
+	before(helpers.dbConnect);
+
+	it('should trigger afterCommit with deferred operations', function(done) {
+		var session = createSession(),
+			params = {obj: helpers.getEntity()},
+			hookParams,
+			collection = helpers.getCollection({
+				afterCommit: function(params) {
+					hookParams = params;
+				}
+			});
+
+		session.startTransaction();
+		collection._deferTransactionHook(session, 'afterInsertOne', params);
+		collection._deferTransactionHook(session, 'afterFindOne', {});
+
+		Steppy(
+			function() {
+				session.commitTransaction(this.slot());
+			},
+			function() {
+				expect(hookParams.session).equal(session);
+				expect(hookParams.operations).eql([
+					{action: 'afterInsertOne', params: params}
+				]);
+
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('should trigger afterAbort with deferred operations', function(done) {
+		var session = createSession(),
+			calledHooks = [],
+			collection = helpers.getCollection({
+				afterCommit: function() {
+					calledHooks.push('afterCommit');
+				},
+				afterAbort: function(params) {
+					calledHooks.push('afterAbort');
+					expect(params.operations).length(1);
+				}
+			});
+
+		session.startTransaction();
+		collection._deferTransactionHook(session, 'afterDeleteOne', {});
+
+		Steppy(
+			function() {
+				session.abortTransaction(this.slot());
+			},
+			function() {
+				expect(calledHooks).eql(['afterAbort']);
+
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('should capture documents within session', function(done) {
+		var session = createSession(),
+			collection = helpers.getCollection(),
+			captureDocsOptions = [];
+
+		// capture error stops methods before the driver call
+		collection._captureDocs = function(condition, options, callback) {
+			captureDocsOptions.push(options);
+			callback(new Error('Capture error'));
+		};
+
+		Steppy(
+			function() {
+				var callback = this.slot();
+				collection.updateMany(
+					{}, {$set: {a: 1}}, {captureDocs: 'both', session: session},
+					function(err) {
+						expect(err.message).equal('Capture error');
+						callback();
+					}
+				);
+			},
+			function() {
+				var callback = this.slot();
+				collection.deleteMany(
+					{}, {captureDocs: 'before', session: session},
+					function(err) {
+						expect(err.message).equal('Capture error');
+						callback();
+					}
+				);
+			},
+			function() {
+				expect(captureDocsOptions).length(2);
+				captureDocsOptions.forEach(function(options) {
+					expect(options.session).equal(session);
+				});
+
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('should not defer operations outside transaction', function() {
+		var session = createSession(),
+			collection = helpers.getCollection();
+
+		collection._deferTransactionHook(session, 'afterInsertOne', {});
+
+		expect(session._extTransactionState).not.ok();
+	});
+});
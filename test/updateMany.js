@@ -92,10 +92,18 @@ describe('Test updateMany', function() {
 				},
 				function(err, result) {
 					expect(result).ok();
-					expect(result).have.keys(
-						'connection', 'result', 'matchedCount', 'modifiedCount',
-						'upsertedId', 'upsertedCount'
-					);
+					// driver 4.x and later returns less detailed result
+					if (helpers.driverMajorVersion < 4) {
+						expect(result).have.keys(
+							'connection', 'result', 'matchedCount', 'modifiedCount',
+							'upsertedId', 'upsertedCount'
+						);
+					} else {
+						expect(result).only.keys(
+							'acknowledged', 'matchedCount', 'modifiedCount',
+							'upsertedId', 'upsertedCount'
+						);
+					}
 					this.pass(null);
 				},
 				done
@@ -280,5 +288,87 @@ describe('Test updateMany', function() {
 		});
 	});
 
+	describe('captureDocs option', function() {
+
+		var checkCapturedDocs = function(params, done) {
+			var entities = [helpers.getEntity(), helpers.getEntity()],
+				hookParams,
+				collection = helpers.getCollection({
+					afterUpdateMany: function(params, callback) {
+						hookParams = params;
+						callback();
+					}
+				});
+
+			Steppy(
+				function() {
+					collection.insertMany(entities, this.slot());
+				},
+				function() {
+					collection.updateMany({}, helpers.getModifier(), {
+						captureDocs: params.captureDocs
+					}, this.slot());
+				},
+				function() {
+					var updatedEntities = entities.map(function(entity) {
+						return {_id: entity._id, a: entity.a + 1};
+					});
+
+					expect(hookParams.options).eql({});
+					expect(hookParams.originalObjs).eql(
+						params.before ? entities : undefined
+					);
+					expect(hookParams.objs).eql(
+						params.after ? updatedEntities : undefined
+					);
+
+					helpers.cleanDb(this.slot());
+				},
+				done
+			);
+		};
+
+		it('should pass documents before update with "before" value',
+			function(done) {
+				checkCapturedDocs({captureDocs: 'before', before: true}, done);
+			}
+		);
+
+		it('should pass documents after update with "after" value',
+			function(done) {
+				checkCapturedDocs({captureDocs: 'after', after: true}, done);
+			}
+		);
+
+		it('should pass both documents with "both" value', function(done) {
+			checkCapturedDocs({
+				captureDocs: 'both',
+				before: true,
+				after: true
+			}, done);
+		});
+
+		it('should return error with unknown value', function(done) {
+			var collection = helpers.getCollection();
+
+			Steppy(
+				function() {
+					collection.updateMany({}, helpers.getModifier(), {
+						captureDocs: 'unknown'
+					}, this.slot());
+				},
+				function(err) {
+					expect(err).ok();
+					expect(err.name).equal('MongoError');
+					expect(err.message).equal(
+						'captureDocs option must be one of "before", "after", "both"'
+					);
+
+					done();
+				}
+			);
+		});
+	});
+
 	after(helpers.cleanDb);
 });
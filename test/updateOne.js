@@ -88,10 +88,18 @@ describe('Test updateOne', function() {
 				},
 				function(err, result) {
 					expect(result).ok();
-					expect(result).have.keys(
-						'connection', 'result', 'matchedCount', 'modifiedCount',
-						'upsertedId', 'upsertedCount'
-					);
+					// driver 4.x and later returns less detailed result
+					if (helpers.driverMajorVersion < 4) {
+						expect(result).have.keys(
+							'connection', 'result', 'matchedCount', 'modifiedCount',
+							'upsertedId', 'upsertedCount'
+						);
+					} else {
+						expect(result).only.keys(
+							'acknowledged', 'matchedCount', 'modifiedCount',
+							'upsertedId', 'upsertedCount'
+						);
+					}
 					this.pass(null);
 				},
 				done
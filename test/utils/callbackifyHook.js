@@ -0,0 +1,91 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	callbackifyHook = require('../../lib/utils').callbackifyHook;
+
+describe('callbackifyHook', function() {
+	it('callback style hook', function(done) {
+		var hook = callbackifyHook(function(params, callback) {
+			params.called = true;
+			setTimeout(callback, 10);
+		});
+		var params = {};
+
+		Steppy(
+			function() {
+				hook(params, this.slot());
+			},
+			function() {
+				expect(params.called).ok();
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('sync hook', function(done) {
+		var hook = callbackifyHook(function(params) {
+			params.called = true;
+		});
+		var params = {};
+
+		Steppy(
+			function() {
+				hook(params, this.slot());
+			},
+			function() {
+				expect(params.called).ok();
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('sync hook with error', function(done) {
+		var hook = callbackifyHook(function() {
+			throw new Error('some error');
+		});
+
+		hook({}, function(err) {
+			expect(err).ok();
+			expect(err.message).to.equal('some error');
+			done();
+		});
+	});
+
+	it('promise hook', function(done) {
+		var hook = callbackifyHook(function(params) {
+			return new Promise(function(resolve) {
+				setTimeout(function() {
+					params.called = true;
+					resolve();
+				}, 10);
+			});
+		});
+		var params = {};
+
+		Steppy(
+			function() {
+				hook(params, this.slot());
+			},
+			function() {
+				expect(params.called).ok();
+				this.pass(null);
+			},
+			done
+		);
+	});
+
+	it('promise hook with rejection', function(done) {
+		var hook = callbackifyHook(function() {
+			return Promise.reject(new Error('some error'));
+		});
+
+		hook({}, function(err) {
+			expect(err).ok();
+			expect(err.message).to.equal('some error');
+			done();
+		});
+	});
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+var expect = require('expect.js'),
+	utils = require('../../lib/utils');
+
+describe('encodeKeys and decodeKeys', function() {
+	var value = {
+		$or: [{'a.b': 1}, {c: {$in: [1, 2]}}],
+		d: new Date(0)
+	};
+
+	it('should replace operators and dots of nested keys', function() {
+		var encoded = utils.encodeKeys(value);
+
+		expect(encoded).eql({
+			'\uff04or': [{'a\uff0eb': 1}, {c: {'\uff04in': [1, 2]}}],
+			d: new Date(0)
+		});
+		expect(encoded.d).equal(value.d);
+	});
+
+	it('should restore encoded keys', function() {
+		expect(utils.decodeKeys(utils.encodeKeys(value))).eql(value);
+	});
+});
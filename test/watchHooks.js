@@ -0,0 +1,312 @@
+'use strict';
+
+var expect = require('expect.js'),
+	Steppy = require('twostep').Steppy,
+	SourceCollection = require('mongodb').Collection,
+	helpers = require('./helpers'),
+	driver = require('../lib/driver').driver;
+
+describe('Test watchHooks', function() {
+	var db,
+		isReplicaSet;
+
+	// change stream is opened asynchronously, so give it a time before
+	// making changes
+	var waitForChangeStream = function(callback) {
+		setTimeout(callback, 1000);
+	};
+
+	var getTokenCollection = function() {
+		return helpers.getCollection('__resumeTokens');
+	};
+
+	before(function(done) {
+		Steppy(
+			function() {
+				helpers.dbConnect(this.slot());
+			},
+			function(err, _db) {
+				db = _db;
+				helpers.isReplicaSet(this.slot());
+			},
+			function(err, _isReplicaSet) {
+				isReplicaSet = _isReplicaSet;
+
+				if (isReplicaSet) {
+					getTokenCollection().deleteMany({}, this.slot());
+				} else {
+					this.pass(null);
+				}
+			},
+			done
+		);
+	});
+
+	it('should trigger hooks of changes', function(done) {
+		if (!isReplicaSet) return this.skip();
+
+		var entity = helpers.getEntity(),
+			sourceCollection = db.collection('test'),
+			hooksParams = [],
+			watcher;
+
+		var collection = helpers.getCollection();
+		['changeInsert', 'changeUpdate', 'changeDelete'].forEach(
+			function(action) {
+				collection.on(action, function(params) {
+					hooksParams.push({action: action, params: params});
+
+					if (action === 'changeDelete') {
+						checkHooksParams();
+					}
+				});
+			}
+		);
+
+		var checkHooksParams = function() {
+			Steppy(
+				function() {
+					watcher.close(this.slot());
+				},
+				function() {
+					expect(hooksParams).length(3);
+
+					expect(hooksParams[0].action).equal('changeInsert');
+					expect(hooksParams[0].params.condition).eql({_id: entity._id});
+					expect(hooksParams[0].params.obj).eql(entity);
+					expect(hooksParams[0].params.change.operationType).equal(
+						'insert'
+					);
+
+					expect(hooksParams[1].action).equal('changeUpdate');
+					expect(hooksParams[1].params.condition).eql({_id: entity._id});
+					expect(hooksParams[1].params.updateDescription.updatedFields)
+						.eql({b: 1});
+
+					expect(hooksParams[2].action).equal('changeDelete');
+					expect(hooksParams[2].params.condition).eql({_id: entity._id});
+
+					this.pass(null);
+				},
+				done
+			);
+		};
+
+		Steppy(
+			function() {
+				collection.watchHooks(this.slot());
+			},
+			function(err, _watcher) {
+				watcher = _watcher;
+				waitForChangeStream(this.slot());
+			},
+			function() {
+				driver.call(sourceCollection, 'insertOne', [entity], this.slot());
+			},
+			function() {
+				driver.call(sourceCollection, 'updateOne', [
+					{_id: entity._id}, {$set: {b: 1}}
+				], this.slot());
+			},
+			function() {
+				driver.call(
+					sourceCollection, 'deleteOne', [{_id: entity._id}], this.slot()
+				);
+			},
+			function(err) {
+				if (err) done(err);
+			}
+		);
+	});
+
+	it('should resume watching from saved token', function(done) {
+		if (!isReplicaSet) return this.skip();
+
+		var entity = helpers.getEntity(),
+			collection = helpers.getCollection();
+
+		collection.on('changeInsert', function(params) {
+			expect(params.obj).eql(entity);
+
+			watcher.close(done);
+		});
+
+		var watcher;
+
+		// token of previous test is used, so insert made without watcher
+		// is processed
+		Steppy(
+			function() {
+				driver.call(
+					db.collection('test'), 'insertOne', [entity], this.slot()
+				);
+			},
+			function() {
+				collection.watchHooks(this.slot());
+			},
+			function(err, _watcher) {
+				watcher = _watcher;
+			},
+			function(err) {
+				if (err) done(err);
+			}
+		);
+	});
+
+	it('should close watcher and call onError on hook error', function(done) {
+		if (!isReplicaSet) return this.skip();
+
+		var collection = helpers.getCollection({
+			changeInsert: helpers.beforeHookWithError
+		});
+
+		var watcher;
+
+		Steppy(
+			function() {
+				collection.watchHooks({
+					resumeTokenCollectionName: null,
+					onError: function(err) {
+						expect(err.message).equal(helpers.beforeHookErrorMessage);
+						expect(watcher.isClosed).equal(true);
+						done();
+					}
+				}, this.slot());
+			},
+			function(err, _watcher) {
+				watcher = _watcher;
+				waitForChangeStream(this.slot());
+			},
+			function() {
+				driver.call(
+					db.collection('test'), 'insertOne', [helpers.getEntity()],
+					this.slot()
+				);
+			},
+			function(err) {
+				if (err) done(err);
+			}
+		);
+	});
+
+	// change stream is replaced by stub, so hooks and saving of resume
+	// tokens are checked without replica set
+	describe('with stubbed change stream', function() {
+		var originalWatch = SourceCollection.prototype.watch,
+			watchOptions,
+			changes,
+			onDrained;
+
+		var changeStream = {
+			next: function(callback) {
+				var change = changes.shift() || null;
+				if (!change) setImmediate(onDrained);
+
+				if (callback) {
+					setImmediate(callback, null, change);
+				} else {
+					return Promise.resolve(change);
+				}
+			},
+			close: function(callback) {
+				if (callback) {
+					setImmediate(callback);
+				} else {
+					return Promise.resolve();
+				}
+			}
+		};
+
+		before(function() {
+			SourceCollection.prototype.watch = function(pipeline, options) {
+				watchOptions = options;
+				return changeStream;
+			};
+		});
+
+		it('should trigger hooks and save resume token', function(done) {
+			var collection = helpers.getCollection(),
+				calledActions = [],
+				watcher;
+
+			['changeInsert', 'changeUpdate'].forEach(function(action) {
+				collection.on(action, function(params) {
+					expect(params.condition).eql({_id: 1});
+					calledActions.push(action);
+				});
+			});
+
+			changes = [{
+				_id: {token: 1},
+				operationType: 'insert',
+				documentKey: {_id: 1},
+				fullDocument: {_id: 1, a: 1}
+			}, {
+				_id: {token: 2},
+				operationType: 'update',
+				documentKey: {_id: 1},
+				updateDescription: {updatedFields: {a: 2}, removedFields: []}
+			}];
+
+			Steppy(
+				function() {
+					getTokenCollection().deleteMany({name: 'stubTest'}, this.slot());
+				},
+				function() {
+					onDrained = this.slot();
+					collection.watchHooks({name: 'stubTest'}, function(err, _watcher) {
+						if (err) return done(err);
+						watcher = _watcher;
+					});
+				},
+				function() {
+					expect(calledActions).eql(['changeInsert', 'changeUpdate']);
+					expect(watchOptions.resumeAfter).equal(undefined);
+
+					getTokenCollection().findOne({name: 'stubTest'}, this.slot());
+				},
+				function(err, tokenDoc) {
+					expect(tokenDoc.token).eql({token: 2});
+
+					watcher.close(this.slot());
+				},
+				function() {
+					// next watcher resumes after saved token
+					changes = [];
+					onDrained = this.slot();
+					collection.watchHooks({name: 'stubTest'}, function(err, _watcher) {
+						if (err) return done(err);
+						watcher = _watcher;
+					});
+				},
+				function() {
+					expect(watchOptions.resumeAfter).eql({token: 2});
+
+					watcher.close(this.slot());
+				},
+				function() {
+					getTokenCollection().deleteMany({name: 'stubTest'}, this.slot());
+				},
+				done
+			);
+		});
+
+		after(function() {
+			SourceCollection.prototype.watch = originalWatch;
+		});
+	});
+
+	after(function(done) {
+		if (!isReplicaSet) return done();
+
+		Steppy(
+			function() {
+				helpers.cleanDb(this.slot());
+			},
+			function() {
+				getTokenCollection().deleteMany({}, this.slot());
+			},
+			done
+		);
+	});
+});